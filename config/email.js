@@ -8,6 +8,25 @@
 
 require("dotenv").config();
 
+// Required after dotenv so LOG_LEVEL from .env applies
+const logger = require("../utils/logger");
+
+/**
+ * Parse a JSON object from an environment variable
+ * @param {string} value - Raw environment variable value
+ * @param {Object} fallback - Value to use when unset or invalid
+ * @returns {Object} Parsed object
+ */
+const parseJsonEnv = (value, fallback) => {
+  if (!value) return fallback;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    logger.warn(`Ignoring invalid JSON in environment variable: ${value}`);
+    return fallback;
+  }
+};
+
 const config = {
   // Default email sender configuration
   sender: {
@@ -42,6 +61,235 @@ const config = {
     },
   },
 
+  // Outbound transport configuration
+  transport: {
+    // Provider used when no tenant override applies: resend, sendgrid or smtp
+    defaultProvider: process.env.EMAIL_PROVIDER || "resend",
+
+    // Ordered failover chain; the default provider is tried first
+    failoverProviders: (process.env.EMAIL_FAILOVER_PROVIDERS || "")
+      .split(",")
+      .map((name) => name.trim())
+      .filter(Boolean),
+
+    // Per-tenant provider overrides, e.g. {"acme-corp": "sendgrid"} or
+    // {"acme-corp": ["sendgrid", "resend"]} for a tenant-specific chain
+    tenantProviders: parseJsonEnv(process.env.EMAIL_TENANT_PROVIDERS, {}),
+
+    // Abort a provider call that takes longer than this
+    sendTimeoutMs: parseInt(process.env.EMAIL_SEND_TIMEOUT_MS || "15000", 10),
+
+    // Circuit breaker: skip a provider after consecutive failures
+    circuitBreaker: {
+      failureThreshold: parseInt(
+        process.env.EMAIL_CIRCUIT_FAILURE_THRESHOLD || "3",
+        10
+      ),
+      cooldownMs: parseInt(
+        process.env.EMAIL_CIRCUIT_COOLDOWN_MS || "60000",
+        10
+      ),
+    },
+
+    resend: {
+      apiKey: process.env.RESEND_API_KEY,
+    },
+
+    sendgrid: {
+      apiKey: process.env.SENDGRID_API_KEY,
+    },
+
+    // SMTP relay (e.g. a local mail catcher in staging)
+    smtp: {
+      host: process.env.SMTP_HOST || "localhost",
+      port: parseInt(process.env.SMTP_PORT || "1025", 10),
+      secure: process.env.SMTP_SECURE === "true",
+      user: process.env.SMTP_USER || "",
+      password: process.env.SMTP_PASSWORD || "",
+    },
+  },
+
+  // Outbox queue for outgoing email
+  outbox: {
+    // Job store: firestore (the "outbox" collection) or memory (local only)
+    store: process.env.OUTBOX_STORE || "firestore",
+
+    // How often the worker looks for due jobs
+    pollIntervalMs: parseInt(process.env.OUTBOX_POLL_INTERVAL_MS || "5000", 10),
+
+    // Max jobs claimed per poll
+    batchSize: parseInt(process.env.OUTBOX_BATCH_SIZE || "10", 10),
+
+    // Attempts before a job is dead-lettered
+    maxAttempts: parseInt(process.env.OUTBOX_MAX_ATTEMPTS || "5", 10),
+
+    // Exponential backoff between attempts
+    backoffBaseMs: 30 * 1000, // 30 seconds
+    backoffMaxMs: 60 * 60 * 1000, // 1 hour
+
+    // A claimed job is reclaimed if the worker hasn't finished it by then
+    leaseMs: 5 * 60 * 1000, // 5 minutes
+  },
+
+  // Scheduled candidate emails
+  scheduler: {
+    // How often to look for scheduled emails that are due
+    pollIntervalMs: parseInt(
+      process.env.SCHEDULER_POLL_INTERVAL_MS || "30000",
+      10
+    ),
+
+    // Max scheduled emails dispatched per poll
+    batchSize: 25,
+
+    // A claimed email is reclaimed if the scheduler hasn't queued it by then
+    leaseMs: 5 * 60 * 1000, // 5 minutes
+  },
+
+  // Drip sequences of automated candidate follow-ups
+  sequences: {
+    // How often to look for sequence steps that are due
+    pollIntervalMs: parseInt(
+      process.env.SEQUENCE_POLL_INTERVAL_MS || "60000",
+      10
+    ),
+
+    // Max enrollments advanced per poll
+    batchSize: 25,
+
+    // A claimed enrollment is reclaimed if the runner hasn't finished it by then
+    leaseMs: 5 * 60 * 1000, // 5 minutes
+  },
+
+  // Bulk candidate messaging
+  bulk: {
+    // Max candidates in a single campaign
+    maxRecipients: 500,
+
+    // The outbox worker sends marketing email no faster than this, across
+    // all campaigns, to stay under provider rate limits
+    sendsPerSecond: parseFloat(process.env.BULK_SENDS_PER_SECOND || "2"),
+
+    // How often to look for campaigns left unprepared, e.g. by a restart
+    pollIntervalMs: parseInt(process.env.BULK_POLL_INTERVAL_MS || "60000", 10),
+
+    // A preparing campaign is picked up again if its progress stalls this long
+    leaseMs: 5 * 60 * 1000, // 5 minutes
+  },
+
+  // Public URL of this service, which serves unsubscribe and tracking links
+  publicUrl: (
+    process.env.PUBLIC_API_URL || `http://localhost:${process.env.PORT || 3001}`
+  ).replace(/\/+$/, ""),
+
+  // One-click unsubscribe for marketing email (RFC 8058)
+  unsubscribe: {
+    // Signs unsubscribe tokens; marketing sends are refused without it
+    secret: process.env.UNSUBSCRIBE_SECRET || "",
+  },
+
+  // First-party open and click tracking on candidate messages
+  tracking: {
+    // Signs pixel and link tokens; tracking is off while it is unset
+    secret: process.env.TRACKING_SECRET || "",
+
+    // Tenants whose email is never tracked, e.g. ["acme-corp"]
+    disabledTenants: parseJsonEnv(
+      process.env.EMAIL_TRACKING_DISABLED_TENANTS,
+      []
+    ),
+  },
+
+  // Delivery event webhooks from providers
+  webhooks: {
+    // Reject signed events older than this to stop replays
+    toleranceSeconds: 5 * 60,
+
+    resend: {
+      // Svix signing secret (whsec_...) from the Resend webhook settings
+      signingSecret: process.env.RESEND_WEBHOOK_SECRET || "",
+    },
+
+    sendgrid: {
+      // Public key of the signed event webhook (base64, from the SendGrid settings)
+      verificationKey: process.env.SENDGRID_WEBHOOK_VERIFICATION_KEY || "",
+    },
+  },
+
+  // Candidate replies received through the inbound parse webhook
+  inbound: {
+    // Domain routed to the webhook; empty disables per-message reply addresses
+    replyDomain: process.env.INBOUND_REPLY_DOMAIN || "",
+
+    // Replies go to <localPart>+<token>@<replyDomain>
+    replyLocalPart: process.env.INBOUND_REPLY_LOCAL_PART || "reply",
+
+    // Largest inbound email accepted, attachments included
+    maxEmailBytes: 25 * 1024 * 1024, // 25MB
+  },
+
+  // Signed event notifications POSTed to subscriber URLs
+  outboundWebhooks: {
+    // How often the worker looks for due deliveries
+    pollIntervalMs: parseInt(
+      process.env.OUTBOUND_WEBHOOK_POLL_INTERVAL_MS || "5000",
+      10
+    ),
+
+    // Max deliveries claimed per poll
+    batchSize: 20,
+
+    // Attempts before a delivery is given up on
+    maxAttempts: 8,
+
+    // Exponential backoff between attempts
+    backoffBaseMs: 30 * 1000, // 30 seconds
+    backoffMaxMs: 6 * 60 * 60 * 1000, // 6 hours
+
+    // Subscribers that don't answer in time are retried
+    timeoutMs: 10 * 1000, // 10 seconds
+
+    // A claimed delivery is reclaimed if the worker hasn't finished it by then
+    leaseMs: 2 * 60 * 1000, // 2 minutes
+
+    // Subscribers on loopback or private networks are refused unless this is
+    // set, e.g. for local development
+    allowPrivateUrls:
+      process.env.OUTBOUND_WEBHOOK_ALLOW_PRIVATE_URLS === "true",
+  },
+
+  // Duplicate send protection for candidate messages
+  idempotency: {
+    // An in-flight send older than this is assumed to have crashed
+    inFlightTimeoutMs: 2 * 60 * 1000, // 2 minutes
+  },
+
+  // Attachments on outgoing email
+  attachments: {
+    // Local directory for attachments uploaded through the API
+    uploadDir: process.env.ATTACHMENT_UPLOAD_DIR || "uploads/attachments",
+
+    // Firebase Storage bucket for storage-path attachments (default bucket if empty)
+    storageBucket: process.env.FIREBASE_STORAGE_BUCKET || "",
+
+    // Size limits; most providers reject messages over ~25MB once encoded
+    maxFileBytes: 10 * 1024 * 1024, // 10MB
+    maxTotalBytes: 20 * 1024 * 1024, // 20MB
+
+    // MIME types candidates can safely open
+    allowedTypes: [
+      "application/pdf",
+      "application/msword",
+      "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+      "application/vnd.oasis.opendocument.text",
+      "application/rtf",
+      "text/plain",
+      "text/calendar",
+      "image/png",
+      "image/jpeg",
+    ],
+  },
+
   // Email parsing settings
   parser: {
     // Max attachment size for processing
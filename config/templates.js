@@ -0,0 +1,125 @@
+// Email template definitions
+// config/templates.js
+
+/**
+ * Subject lines, variable declarations and sample data for each bundled template
+ * Subjects are templates themselves and are rendered without HTML escaping.
+ * A send is rejected if any required variable is missing; optional variables
+ * may be left out. Every variable a template references must be declared.
+ * The audience says who receives it: candidates or members of the hiring team.
+ */
+
+const appUrl = process.env.APP_URL || "https://your-ats-app.com";
+
+const templates = {
+  assignmentNotification: {
+    audience: "team",
+    subject: "Candidate Assigned: {{ candidateName }}",
+    variables: {
+      required: ["candidateName", "assignerName", "appUrl"],
+      optional: ["candidateId", "teamMemberId"],
+    },
+    sampleData: {
+      candidateName: "Jordan Rivera",
+      assignerName: "Alex Morgan",
+      candidateId: "sample-candidate",
+      teamMemberId: "sample-team-member",
+      appUrl,
+    },
+  },
+
+  teamInvitation: {
+    audience: "team",
+    subject: "You've been invited to join the ATS platform",
+    variables: {
+      required: ["name", "role", "inviterName", "loginUrl"],
+      optional: ["appUrl"],
+    },
+    sampleData: {
+      name: "Sam Taylor",
+      role: "Recruiter",
+      inviterName: "Alex Morgan",
+      loginUrl: `${appUrl}/auth/login`,
+      appUrl,
+    },
+  },
+
+  teamUpdate: {
+    audience: "team",
+    subject: "Your ATS account has been updated",
+    variables: {
+      required: ["name", "role", "previousRole", "updaterName", "loginUrl"],
+      optional: ["appUrl"],
+    },
+    sampleData: {
+      name: "Sam Taylor",
+      role: "Hiring Manager",
+      previousRole: "Recruiter",
+      updaterName: "Alex Morgan",
+      loginUrl: `${appUrl}/auth/login`,
+      appUrl,
+    },
+  },
+
+  interviewInvitation: {
+    // One template covers the invitation, its updates and its cancellation
+    audience: "candidate",
+    subject:
+      "{{#if isCancelled}}Cancelled{{else if isUpdate}}Updated{{else}}Invitation{{/if}}: {{ interviewTitle }}",
+    variables: {
+      required: [
+        "candidateName",
+        "interviewTitle",
+        "startTime",
+        "endTime",
+        "timezone",
+        "organizerName",
+      ],
+      optional: ["location", "meetingUrl", "isUpdate", "isCancelled"],
+    },
+    sampleData: {
+      candidateName: "Jordan Rivera",
+      interviewTitle: "Technical interview – Senior Engineer",
+      startTime: "2025-03-04T15:00:00.000Z",
+      endTime: "2025-03-04T16:00:00.000Z",
+      timezone: "Europe/Berlin",
+      organizerName: "Alex Morgan",
+      location: "Video call",
+      meetingUrl: "https://meet.example.com/abc-defg-hij",
+      isUpdate: false,
+      isCancelled: false,
+    },
+  },
+
+  candidateEmail: {
+    // Candidate emails carry a subject written by the recruiter
+    audience: "candidate",
+    subject: "{{ subject }}",
+    variables: {
+      required: ["candidateName", "messageBody", "messageText", "senderName"],
+      optional: [
+        "subject",
+        "messageId",
+        "appUrl",
+        "signatureHtml",
+        "signatureText",
+        "unsubscribeUrl",
+      ],
+    },
+    sampleData: {
+      subject: "Your application for Senior Engineer",
+      candidateName: "Jordan Rivera",
+      messageBody:
+        "<p>Thank you for applying. We'd love to schedule a short call next week.</p>",
+      messageText:
+        "Thank you for applying. We'd love to schedule a short call next week.",
+      senderName: "Alex Morgan",
+      signatureHtml: "<p>Senior Recruiter<br />Example Corp</p>",
+      signatureText: "Senior Recruiter\nExample Corp",
+      messageId: "sample-message",
+      appUrl,
+    },
+  },
+};
+
+module.exports = templates;
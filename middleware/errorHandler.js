@@ -58,6 +58,38 @@ class AuthorizationError extends ApiError {
   }
 }
 
+/**
+ * Conflict error for requests that clash with the current resource state
+ */
+class ConflictError extends ApiError {
+  constructor(message = "Resource state conflict", details = null) {
+    super(message, 409, details);
+    this.name = "ConflictError";
+  }
+}
+
+/**
+ * Suppressed recipient error for sends addressed only to suppressed addresses
+ */
+class SuppressedRecipientError extends ApiError {
+  constructor(message = "Recipient is suppressed", details = null) {
+    super(message, 422, details);
+    this.name = "SuppressedRecipientError";
+  }
+}
+
+/**
+ * Provider error for failures reported by an outbound email provider
+ */
+class ProviderError extends ApiError {
+  constructor(message, { provider, retryable = false } = {}, details = null) {
+    super(message, 502, details);
+    this.name = "ProviderError";
+    this.provider = provider;
+    this.retryable = retryable;
+  }
+}
+
 /**
  * Central error handler middleware
  * @param {Error} err - The error object
@@ -132,4 +164,7 @@ module.exports = {
   NotFoundError,
   AuthenticationError,
   AuthorizationError,
+  ConflictError,
+  SuppressedRecipientError,
+  ProviderError,
 };
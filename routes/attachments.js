@@ -0,0 +1,88 @@
+// Outgoing email attachment uploads
+// routes/attachments.js
+const express = require("express");
+const router = express.Router();
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const multer = require("multer");
+const config = require("../config/email");
+const {
+  UPLOAD_DIR,
+  isAllowedType,
+  recordUpload,
+} = require("../services/attachmentService");
+const { validateApiKey } = require("../middleware/auth");
+const { ValidationError } = require("../middleware/errorHandler");
+const logger = require("../utils/logger");
+
+// Store uploads as <uploadId><extension> so the ID maps straight to the file
+const storage = multer.diskStorage({
+  destination: function (req, file, cb) {
+    if (!fs.existsSync(UPLOAD_DIR)) {
+      fs.mkdirSync(UPLOAD_DIR, { recursive: true });
+    }
+    cb(null, UPLOAD_DIR);
+  },
+  filename: function (req, file, cb) {
+    cb(null, crypto.randomUUID() + path.extname(file.originalname));
+  },
+});
+
+const upload = multer({
+  storage,
+  fileFilter: (req, file, cb) => {
+    if (isAllowedType(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(
+        new ValidationError(`Unsupported attachment type: ${file.mimetype}`),
+        false
+      );
+    }
+  },
+  limits: { fileSize: config.attachments.maxFileBytes },
+});
+
+// Apply auth middleware to all routes
+router.use(validateApiKey);
+
+/**
+ * @route POST /api/email/attachments
+ * @desc Upload a file to attach to outgoing email by its upload ID
+ * @access Private
+ */
+router.post("/", upload.single("file"), async (req, res, next) => {
+  try {
+    if (!req.file) {
+      throw new ValidationError("No file uploaded");
+    }
+
+    const result = await recordUpload(req.file, {
+      uploadedBy: req.user?.email || null,
+    });
+
+    res.status(201).json({
+      success: true,
+      attachment: {
+        uploadId: result.uploadId,
+        filename: result.filename,
+        contentType: result.contentType,
+        size: result.size,
+      },
+    });
+  } catch (error) {
+    logger.error("Attachment upload error:", error);
+    next(error);
+  }
+});
+
+// Report oversized files as validation errors rather than server errors
+router.use((error, req, res, next) => {
+  if (error instanceof multer.MulterError) {
+    return next(new ValidationError(error.message, { code: error.code }));
+  }
+  next(error);
+});
+
+module.exports = router;
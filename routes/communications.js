@@ -3,15 +3,88 @@
 const express = require("express");
 const router = express.Router();
 const { sendCandidateEmail } = require("../services/emailService");
-const { updateMessageStatus } = require("../services/firebaseService");
+const { getSenderProfile } = require("../services/senderService");
+const { prepareAttachments } = require("../services/attachmentService");
+const {
+  createCampaign,
+  getCampaignProgress,
+} = require("../services/campaignService");
+const {
+  updateMessageStatus,
+  updateMessage,
+  getRecipientLocale,
+} = require("../services/firebaseService");
+const {
+  getMessageTimeline,
+  getCandidateTimeline,
+} = require("../services/messageEventService");
+const {
+  scheduleCandidateEmail,
+  rescheduleCandidateEmail,
+  cancelScheduledEmail,
+} = require("../services/schedulerService");
+const { isValidTimeZone, resolveSendTime } = require("../utils/timezone");
+const { BODY_FORMATS, renderMessageBody } = require("../utils/messageBody");
+const {
+  normalizeAddressList,
+  validateCustomHeaders,
+} = require("../utils/emailOptions");
+const {
+  beginSend,
+  completeSend,
+  failSend,
+} = require("../services/idempotencyService");
 const { validateApiKey } = require("../middleware/auth");
+const { ConflictError } = require("../middleware/errorHandler");
 const logger = require("../utils/logger");
+const { parseLimit } = require("../utils/pagination");
 
 // Apply auth middleware to all routes
 router.use(validateApiKey);
 
+/**
+ * Validate a requested send time
+ * @param {string} sendAt - ISO 8601 date-time, with or without an offset
+ * @param {string} timezone - IANA time zone for local times
+ * @returns {Object} Either { sendTime } or { error }
+ */
+const parseSendTime = (sendAt, timezone) => {
+  if (!isValidTimeZone(timezone)) {
+    return { error: `Invalid timezone: ${timezone}` };
+  }
+
+  const sendTime = resolveSendTime(sendAt, timezone);
+  if (!sendTime) {
+    return { error: `Invalid sendAt: ${sendAt}` };
+  }
+
+  if (sendTime.getTime() <= Date.now()) {
+    return { error: "sendAt must be in the future" };
+  }
+
+  return { sendTime };
+};
+
+/**
+ * Save the result of a send whose email is already queued
+ * The email is out of our hands by now, so a failure here must not fail the
+ * request; a retry finds the queued message and replays it as completed.
+ * @param {string} messageId - Message ID
+ * @param {Object} result - Result returned to the client
+ */
+const saveCompletedSend = async (messageId, result) => {
+  try {
+    await completeSend(messageId, result);
+  } catch (error) {
+    logger.error(`Error completing send for message ${messageId}:`, error);
+  }
+};
+
 // Send email to candidate
 router.post("/send", async (req, res, next) => {
+  // Set while this request holds the in-flight claim on the message
+  let claimed = false;
+
   try {
     const {
       messageId,
@@ -20,8 +93,19 @@ router.post("/send", async (req, res, next) => {
       candidateEmail,
       subject,
       body,
+      bodyFormat = "text",
       type,
       senderName,
+      senderId,
+      cc,
+      bcc,
+      replyTo,
+      headers,
+      attachments,
+      sendAt,
+      timezone = "UTC",
+      tenantId,
+      locale,
     } = req.body;
 
     if (!messageId || !candidateId || !candidateEmail || !subject || !body) {
@@ -31,29 +115,112 @@ router.post("/send", async (req, res, next) => {
       });
     }
 
-    // Update message status to sending
-    await updateMessageStatus(messageId, "sending");
+    if (!BODY_FORMATS.includes(bodyFormat)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid bodyFormat. Must be one of: ${BODY_FORMATS.join(", ")}`,
+      });
+    }
+
+    // Validate the send time before anything is recorded
+    let sendTime = null;
+    if (sendAt) {
+      const parsed = parseSendTime(sendAt, timezone);
+      if (parsed.error) {
+        return res.status(400).json({ success: false, message: parsed.error });
+      }
+      sendTime = parsed.sendTime;
+    }
 
-    // Send the email
-    const result = await sendCandidateEmail({
+    // Reject malformed addresses and headers before anything is recorded
+    normalizeAddressList(cc, "cc");
+    normalizeAddressList(bcc, "bcc");
+    normalizeAddressList(replyTo, "replyTo");
+    validateCustomHeaders(headers);
+
+    // Return the original result if this message was already sent
+    const { replay, result: previousResult } = await beginSend(messageId);
+    if (replay) {
+      logger.info(`Duplicate send request for message ${messageId}`);
+      return res.status(200).json({ ...previousResult, duplicate: true });
+    }
+    claimed = true;
+
+    // Keep what the recruiter wrote alongside what the candidate will see
+    const renderedBody = renderMessageBody(body, bodyFormat);
+    await updateMessage(messageId, {
+      bodyFormat,
+      bodyOriginal: body,
+      bodyHtml: renderedBody.html,
+      bodyText: renderedBody.text,
+    });
+
+    const email = {
       messageId,
       candidateId,
       candidateName: candidateName || "Candidate",
       candidateEmail,
       subject,
       body,
+      bodyFormat,
       senderName: senderName || "Hiring Team",
-    });
+      senderId,
+      cc,
+      bcc,
+      replyTo,
+      headers,
+      // Inline content is for internal callers; the API takes references
+      attachments: Array.isArray(attachments)
+        ? attachments.map(({ uploadId, storagePath, filename }) => ({
+            uploadId,
+            storagePath,
+            filename,
+          }))
+        : attachments,
+      tenantId,
+      // An explicit locale wins over the one on the candidate's profile
+      locale: locale || (await getRecipientLocale("candidates", candidateId)),
+    };
 
-    // Update message status to sent
-    await updateMessageStatus(messageId, "sent");
+    // Hold the email until its send time if one was requested
+    if (sendTime) {
+      // Catch an unknown sender or attachment now rather than at dispatch time
+      if (senderId) await getSenderProfile(senderId);
+      await prepareAttachments(email.attachments);
+
+      const result = await scheduleCandidateEmail({
+        messageId,
+        email,
+        sendAt: sendTime,
+        timezone,
+      });
+      claimed = false;
+      await saveCompletedSend(messageId, result);
+      return res.status(200).json(result);
+    }
+
+    // Queue the email; the outbox worker moves the message through
+    // sending, sent or failed as delivery progresses
+    const result = await sendCandidateEmail(email);
+    claimed = false;
+    await saveCompletedSend(messageId, result);
 
     res.status(200).json(result);
   } catch (error) {
+    // A concurrent request owns this send; leave its state alone
+    if (error instanceof ConflictError) {
+      logger.warn(error.message);
+      return next(error);
+    }
+
     logger.error("Candidate communication error:", error);
 
-    // Update message status to failed if possible
-    if (req.body?.messageId) {
+    // Only the request holding the claim may release it. Errors before the
+    // claim (e.g. a malformed retry of a sent message) and after the email
+    // was handed off must not mark the message failed.
+    if (claimed) {
+      await failSend(req.body.messageId, error);
+
       try {
         await updateMessageStatus(req.body.messageId, "failed");
       } catch (updateError) {
@@ -65,4 +232,126 @@ router.post("/send", async (req, res, next) => {
   }
 });
 
+// Send the same template to many candidates, personalized per recipient
+router.post("/bulk", async (req, res, next) => {
+  try {
+    const {
+      templateName,
+      subject,
+      body,
+      bodyFormat,
+      variables,
+      candidateIds,
+      recipientVariables,
+      senderId,
+      senderName,
+      tenantId,
+    } = req.body;
+
+    if (!Array.isArray(candidateIds) || candidateIds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Missing required fields",
+      });
+    }
+
+    const result = await createCampaign({
+      templateName,
+      subject,
+      body,
+      bodyFormat,
+      variables,
+      candidateIds,
+      recipientVariables,
+      senderId,
+      senderName,
+      tenantId,
+      createdBy: req.user?.email,
+    });
+
+    res.status(202).json(result);
+  } catch (error) {
+    logger.error("Bulk send error:", error);
+    next(error);
+  }
+});
+
+// Progress of a bulk campaign
+router.get("/campaigns/:campaignId", async (req, res, next) => {
+  try {
+    const progress = await getCampaignProgress(req.params.campaignId);
+    res.status(200).json({ success: true, ...progress });
+  } catch (error) {
+    logger.error("Campaign progress error:", error);
+    next(error);
+  }
+});
+
+// Delivery timeline of every message sent to a candidate
+router.get("/candidates/:candidateId/timeline", async (req, res, next) => {
+  try {
+    const limit = parseLimit(req.query.limit);
+    const messages = await getCandidateTimeline(req.params.candidateId, {
+      limit,
+    });
+    res.status(200).json({ success: true, messages });
+  } catch (error) {
+    logger.error("Candidate timeline error:", error);
+    next(error);
+  }
+});
+
+// Delivery timeline of a single message
+router.get("/:messageId/timeline", async (req, res, next) => {
+  try {
+    const message = await getMessageTimeline(req.params.messageId);
+    res.status(200).json({ success: true, message });
+  } catch (error) {
+    logger.error("Message timeline error:", error);
+    next(error);
+  }
+});
+
+// Reschedule a scheduled email
+router.post("/:messageId/reschedule", async (req, res, next) => {
+  try {
+    const { sendAt, timezone = "UTC" } = req.body;
+
+    if (!sendAt) {
+      return res.status(400).json({
+        success: false,
+        message: "Missing required fields",
+      });
+    }
+
+    const { sendTime, error } = parseSendTime(sendAt, timezone);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const result = await rescheduleCandidateEmail(
+      req.params.messageId,
+      sendTime,
+      timezone
+    );
+
+    res.status(200).json(result);
+  } catch (error) {
+    logger.error("Reschedule error:", error);
+    next(error);
+  }
+});
+
+// Cancel a scheduled email
+router.post("/:messageId/cancel", async (req, res, next) => {
+  try {
+    const result = await cancelScheduledEmail(req.params.messageId);
+
+    res.status(200).json(result);
+  } catch (error) {
+    logger.error("Cancel scheduled email error:", error);
+    next(error);
+  }
+});
+
 module.exports = router;
@@ -7,7 +7,12 @@ const {
   sendTeamMemberInvitation,
   sendTeamMemberUpdate,
 } = require("../services/emailService");
-const { getCandidate, getTeamMember } = require("../services/firebaseService");
+const { sendInterviewEmail } = require("../services/interviewService");
+const {
+  getCandidate,
+  getTeamMember,
+  getRecipientLocale,
+} = require("../services/firebaseService");
 const { validateApiKey } = require("../middleware/auth");
 const logger = require("../utils/logger");
 
@@ -23,6 +28,8 @@ router.post("/assignment", async (req, res, next) => {
       candidateName,
       assignerName,
       teamMemberEmail,
+      tenantId,
+      locale,
     } = req.body;
 
     if (!candidateId || !teamMemberId || !teamMemberEmail) {
@@ -53,6 +60,8 @@ router.post("/assignment", async (req, res, next) => {
       candidateName,
       assignerName,
       teamMemberEmail: recipientEmail,
+      tenantId,
+      locale: locale || (await getRecipientLocale("teamMembers", teamMemberId)),
     });
 
     res.status(200).json(result);
@@ -74,6 +83,8 @@ router.post("/team-member", async (req, res, next) => {
       inviterName,
       updaterName,
       previousRole,
+      tenantId,
+      locale,
     } = req.body;
 
     if (!type || !teamMemberId || !name || !email || !role) {
@@ -83,6 +94,10 @@ router.post("/team-member", async (req, res, next) => {
       });
     }
 
+    // An explicit locale wins over the one on the team member's profile
+    const recipientLocale =
+      locale || (await getRecipientLocale("teamMembers", teamMemberId));
+
     let result;
 
     if (type === "invitation") {
@@ -99,6 +114,8 @@ router.post("/team-member", async (req, res, next) => {
         email,
         role,
         inviterName,
+        tenantId,
+        locale: recipientLocale,
       });
     } else if (type === "update") {
       if (!updaterName || !previousRole) {
@@ -116,6 +133,8 @@ router.post("/team-member", async (req, res, next) => {
         role,
         previousRole,
         updaterName,
+        tenantId,
+        locale: recipientLocale,
       });
     } else {
       return res.status(400).json({
@@ -131,4 +150,60 @@ router.post("/team-member", async (req, res, next) => {
   }
 });
 
+// Interview invitation, reschedule or cancellation with a calendar attachment
+router.post("/interview", async (req, res, next) => {
+  try {
+    const {
+      interviewId,
+      action = "invite",
+      candidateId,
+      candidateName,
+      candidateEmail,
+      title,
+      startTime,
+      endTime,
+      timezone,
+      location,
+      meetingUrl,
+      description,
+      organizer,
+      attendees,
+      tenantId,
+      locale,
+    } = req.body;
+
+    if (!interviewId) {
+      return res.status(400).json({
+        success: false,
+        message: "Missing required fields",
+      });
+    }
+
+    const result = await sendInterviewEmail({
+      interviewId,
+      action,
+      candidateId,
+      candidateName,
+      candidateEmail,
+      title,
+      startTime,
+      endTime,
+      timezone,
+      location,
+      meetingUrl,
+      description,
+      organizer,
+      attendees,
+      tenantId,
+      // An explicit locale wins over the one on the candidate's profile
+      locale: locale || (await getRecipientLocale("candidates", candidateId)),
+    });
+
+    res.status(200).json(result);
+  } catch (error) {
+    logger.error("Interview notification error:", error);
+    next(error);
+  }
+});
+
 module.exports = router;
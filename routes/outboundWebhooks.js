@@ -0,0 +1,172 @@
+// Outbound webhook subscription and delivery endpoints
+// routes/outboundWebhooks.js
+const express = require("express");
+const router = express.Router();
+const {
+  DELIVERY_STATUS,
+  createSubscription,
+  listSubscriptions,
+  getSubscription,
+  updateSubscription,
+  deleteSubscription,
+  listDeliveries,
+  getDelivery,
+  replayDelivery,
+} = require("../services/outboundWebhookService");
+const { validateApiKey } = require("../middleware/auth");
+const { ValidationError } = require("../middleware/errorHandler");
+const logger = require("../utils/logger");
+const { parseLimit } = require("../utils/pagination");
+
+// Apply auth middleware to all routes
+router.use(validateApiKey);
+
+/**
+ * @route GET /api/email/outbound-webhooks
+ * @desc List webhook subscriptions
+ * @access Private
+ */
+router.get("/", async (req, res, next) => {
+  try {
+    const subscriptions = await listSubscriptions();
+
+    res.status(200).json({ success: true, subscriptions });
+  } catch (error) {
+    logger.error("Webhook subscription listing error:", error);
+    next(error);
+  }
+});
+
+/**
+ * @route POST /api/email/outbound-webhooks
+ * @desc Register a subscriber URL; the response carries the signing secret, shown only once
+ * @access Private
+ */
+router.post("/", async (req, res, next) => {
+  try {
+    const { url, events, description } = req.body;
+
+    const subscription = await createSubscription(
+      { url, events, description },
+      { createdBy: req.user?.email || null }
+    );
+
+    res.status(201).json({ success: true, subscription });
+  } catch (error) {
+    logger.error("Webhook subscription error:", error);
+    next(error);
+  }
+});
+
+/**
+ * @route GET /api/email/outbound-webhooks/deliveries
+ * @desc List deliveries, optionally filtered by subscription and status
+ * @access Private
+ */
+router.get("/deliveries", async (req, res, next) => {
+  try {
+    const { subscriptionId, status } = req.query;
+    const limit = parseLimit(req.query.limit);
+
+    if (status && !Object.values(DELIVERY_STATUS).includes(status)) {
+      throw new ValidationError(`Invalid status filter: ${status}`);
+    }
+
+    const deliveries = await listDeliveries({ subscriptionId, status, limit });
+
+    res.status(200).json({ success: true, deliveries });
+  } catch (error) {
+    logger.error("Webhook delivery listing error:", error);
+    next(error);
+  }
+});
+
+/**
+ * @route GET /api/email/outbound-webhooks/deliveries/:deliveryId
+ * @desc Get a delivery with its attempt history
+ * @access Private
+ */
+router.get("/deliveries/:deliveryId", async (req, res, next) => {
+  try {
+    const delivery = await getDelivery(req.params.deliveryId);
+
+    res.status(200).json({ success: true, delivery });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route POST /api/email/outbound-webhooks/deliveries/:deliveryId/replay
+ * @desc Send a delivered or failed delivery again
+ * @access Private
+ */
+router.post("/deliveries/:deliveryId/replay", async (req, res, next) => {
+  try {
+    const delivery = await replayDelivery(req.params.deliveryId);
+
+    res.status(200).json({ success: true, delivery });
+  } catch (error) {
+    logger.error("Webhook delivery replay error:", error);
+    next(error);
+  }
+});
+
+/**
+ * @route GET /api/email/outbound-webhooks/:subscriptionId
+ * @desc Get a webhook subscription
+ * @access Private
+ */
+router.get("/:subscriptionId", async (req, res, next) => {
+  try {
+    const subscription = await getSubscription(req.params.subscriptionId);
+
+    res.status(200).json({ success: true, subscription });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route PATCH /api/email/outbound-webhooks/:subscriptionId
+ * @desc Change a subscription's URL, events, description or active flag
+ * @access Private
+ */
+router.patch("/:subscriptionId", async (req, res, next) => {
+  try {
+    const { url, events, description, active } = req.body;
+
+    const subscription = await updateSubscription(req.params.subscriptionId, {
+      url,
+      events,
+      description,
+      active,
+    });
+
+    res.status(200).json({ success: true, subscription });
+  } catch (error) {
+    logger.error("Webhook subscription update error:", error);
+    next(error);
+  }
+});
+
+/**
+ * @route DELETE /api/email/outbound-webhooks/:subscriptionId
+ * @desc Remove a webhook subscription
+ * @access Private
+ */
+router.delete("/:subscriptionId", async (req, res, next) => {
+  try {
+    await deleteSubscription(req.params.subscriptionId);
+
+    res.status(200).json({
+      success: true,
+      message: "Webhook subscription removed",
+    });
+  } catch (error) {
+    logger.error("Webhook subscription removal error:", error);
+    next(error);
+  }
+});
+
+module.exports = router;
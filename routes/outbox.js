@@ -0,0 +1,108 @@
+// Outbox administration endpoints
+// routes/outbox.js
+const express = require("express");
+const router = express.Router();
+const {
+  JOB_STATUS,
+  listJobs,
+  getJob,
+  retryJob,
+  cancelJob,
+} = require("../services/outboxService");
+const { validateApiKey } = require("../middleware/auth");
+const { ValidationError } = require("../middleware/errorHandler");
+const logger = require("../utils/logger");
+const { parseLimit } = require("../utils/pagination");
+
+// Apply auth middleware to all routes
+router.use(validateApiKey);
+
+/**
+ * Strip attachment content from a job before returning it
+ * @param {Object} job - Outbox job
+ * @returns {Object} Job safe to serialize
+ */
+const summarizeJob = (job) => ({
+  ...job,
+  message: {
+    ...job.message,
+    attachments: (job.message.attachments || []).map(
+      ({ filename, contentType }) => ({ filename, contentType })
+    ),
+  },
+});
+
+/**
+ * @route GET /api/email/outbox
+ * @desc List queued, sent and dead-lettered emails
+ * @access Private
+ */
+router.get("/", async (req, res, next) => {
+  try {
+    const { status } = req.query;
+    const limit = parseLimit(req.query.limit);
+
+    if (status && !Object.values(JOB_STATUS).includes(status)) {
+      throw new ValidationError(`Invalid status filter: ${status}`);
+    }
+
+    const jobs = await listJobs({ status, limit });
+
+    res.status(200).json({
+      success: true,
+      jobs: jobs.map(summarizeJob),
+    });
+  } catch (error) {
+    logger.error("Outbox listing error:", error);
+    next(error);
+  }
+});
+
+/**
+ * @route GET /api/email/outbox/:jobId
+ * @desc Get a single outbox job
+ * @access Private
+ */
+router.get("/:jobId", async (req, res, next) => {
+  try {
+    const job = await getJob(req.params.jobId);
+
+    res.status(200).json({ success: true, job: summarizeJob(job) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route POST /api/email/outbox/:jobId/retry
+ * @desc Requeue a dead-lettered or cancelled email
+ * @access Private
+ */
+router.post("/:jobId/retry", async (req, res, next) => {
+  try {
+    const job = await retryJob(req.params.jobId);
+    logger.info(`Outbox job ${job.id} requeued`);
+
+    res.status(200).json({ success: true, job: summarizeJob(job) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route POST /api/email/outbox/:jobId/cancel
+ * @desc Cancel a queued email before it is delivered
+ * @access Private
+ */
+router.post("/:jobId/cancel", async (req, res, next) => {
+  try {
+    const job = await cancelJob(req.params.jobId);
+    logger.info(`Outbox job ${job.id} cancelled`);
+
+    res.status(200).json({ success: true, job: summarizeJob(job) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,213 @@
+// Drip sequence endpoints
+// routes/sequences.js
+const express = require("express");
+const router = express.Router();
+const {
+  createSequence,
+  listSequences,
+  getSequence,
+  enrollCandidate,
+  pauseEnrollment,
+  resumeEnrollment,
+  unenrollCandidate,
+  stopCandidateEnrollments,
+  listEnrollments,
+} = require("../services/sequenceService");
+const { validateApiKey } = require("../middleware/auth");
+const { ValidationError } = require("../middleware/errorHandler");
+const logger = require("../utils/logger");
+
+// Apply auth middleware to all routes
+router.use(validateApiKey);
+
+/**
+ * @route GET /api/email/sequences
+ * @desc List sequences
+ * @access Private
+ */
+router.get("/", async (req, res, next) => {
+  try {
+    const sequences = await listSequences({ tenantId: req.query.tenantId });
+    res.status(200).json({ success: true, sequences });
+  } catch (error) {
+    logger.error("Sequence listing error:", error);
+    next(error);
+  }
+});
+
+/**
+ * @route POST /api/email/sequences
+ * @desc Create a sequence of follow-up emails
+ * @access Private
+ */
+router.post("/", async (req, res, next) => {
+  try {
+    const { name, steps, stopOnReply, stopOnStageChange, tenantId } = req.body;
+
+    const sequence = await createSequence({
+      name,
+      steps,
+      stopOnReply,
+      stopOnStageChange,
+      tenantId,
+      createdBy: req.user?.email,
+    });
+
+    res.status(201).json({ success: true, sequence });
+  } catch (error) {
+    logger.error("Sequence creation error:", error);
+    next(error);
+  }
+});
+
+/**
+ * @route GET /api/email/sequences/enrollments
+ * @desc List enrollments across sequences, e.g. for one candidate
+ * @access Private
+ */
+router.get("/enrollments", async (req, res, next) => {
+  try {
+    const { candidateId, status } = req.query;
+    const enrollments = await listEnrollments({ candidateId, status });
+    res.status(200).json({ success: true, enrollments });
+  } catch (error) {
+    logger.error("Enrollment listing error:", error);
+    next(error);
+  }
+});
+
+/**
+ * @route POST /api/email/sequences/candidates/:candidateId/stop
+ * @desc Stop every sequence for a candidate, e.g. after a stage change in the ATS
+ * @access Private
+ */
+router.post("/candidates/:candidateId/stop", async (req, res, next) => {
+  try {
+    const stopped = await stopCandidateEnrollments(
+      req.params.candidateId,
+      req.body.reason || "stopped_by_user"
+    );
+    res.status(200).json({ success: true, stopped });
+  } catch (error) {
+    logger.error("Sequence stop error:", error);
+    next(error);
+  }
+});
+
+/**
+ * @route GET /api/email/sequences/:sequenceId
+ * @desc Get a sequence
+ * @access Private
+ */
+router.get("/:sequenceId", async (req, res, next) => {
+  try {
+    const sequence = await getSequence(req.params.sequenceId);
+    res.status(200).json({ success: true, sequence });
+  } catch (error) {
+    logger.error("Sequence lookup error:", error);
+    next(error);
+  }
+});
+
+/**
+ * @route GET /api/email/sequences/:sequenceId/enrollments
+ * @desc List a sequence's enrollments and each candidate's current step
+ * @access Private
+ */
+router.get("/:sequenceId/enrollments", async (req, res, next) => {
+  try {
+    const enrollments = await listEnrollments({
+      sequenceId: req.params.sequenceId,
+      status: req.query.status,
+    });
+    res.status(200).json({ success: true, enrollments });
+  } catch (error) {
+    logger.error("Enrollment listing error:", error);
+    next(error);
+  }
+});
+
+/**
+ * @route POST /api/email/sequences/:sequenceId/enrollments
+ * @desc Enroll a candidate in a sequence
+ * @access Private
+ */
+router.post("/:sequenceId/enrollments", async (req, res, next) => {
+  try {
+    const { candidateId, senderId, senderName } = req.body;
+
+    if (!candidateId) {
+      throw new ValidationError("candidateId is required");
+    }
+
+    const enrollment = await enrollCandidate(req.params.sequenceId, {
+      candidateId,
+      senderId,
+      senderName,
+    });
+
+    res.status(201).json({ success: true, enrollment });
+  } catch (error) {
+    logger.error("Enrollment error:", error);
+    next(error);
+  }
+});
+
+/**
+ * @route POST /api/email/sequences/:sequenceId/enrollments/:candidateId/pause
+ * @desc Pause a candidate's enrollment
+ * @access Private
+ */
+router.post(
+  "/:sequenceId/enrollments/:candidateId/pause",
+  async (req, res, next) => {
+    try {
+      const { sequenceId, candidateId } = req.params;
+      const enrollment = await pauseEnrollment(sequenceId, candidateId);
+      res.status(200).json({ success: true, enrollment });
+    } catch (error) {
+      logger.error("Enrollment pause error:", error);
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route POST /api/email/sequences/:sequenceId/enrollments/:candidateId/resume
+ * @desc Resume a paused enrollment
+ * @access Private
+ */
+router.post(
+  "/:sequenceId/enrollments/:candidateId/resume",
+  async (req, res, next) => {
+    try {
+      const { sequenceId, candidateId } = req.params;
+      const enrollment = await resumeEnrollment(sequenceId, candidateId);
+      res.status(200).json({ success: true, enrollment });
+    } catch (error) {
+      logger.error("Enrollment resume error:", error);
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route POST /api/email/sequences/:sequenceId/enrollments/:candidateId/unenroll
+ * @desc Remove a candidate from a sequence
+ * @access Private
+ */
+router.post(
+  "/:sequenceId/enrollments/:candidateId/unenroll",
+  async (req, res, next) => {
+    try {
+      const { sequenceId, candidateId } = req.params;
+      const enrollment = await unenrollCandidate(sequenceId, candidateId);
+      res.status(200).json({ success: true, enrollment });
+    } catch (error) {
+      logger.error("Unenroll error:", error);
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
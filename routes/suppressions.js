@@ -0,0 +1,107 @@
+// Suppression list administration endpoints
+// routes/suppressions.js
+const express = require("express");
+const router = express.Router();
+const {
+  SUPPRESSION_REASONS,
+  addSuppression,
+  removeSuppression,
+  listSuppressions,
+  findSuppressions,
+} = require("../services/suppressionService");
+const { validateApiKey } = require("../middleware/auth");
+const {
+  ValidationError,
+  NotFoundError,
+} = require("../middleware/errorHandler");
+const logger = require("../utils/logger");
+const { parseLimit } = require("../utils/pagination");
+
+// Apply auth middleware to all routes
+router.use(validateApiKey);
+
+/**
+ * @route GET /api/email/suppressions
+ * @desc List suppressed addresses, optionally filtered by reason
+ * @access Private
+ */
+router.get("/", async (req, res, next) => {
+  try {
+    const { reason } = req.query;
+    const limit = parseLimit(req.query.limit);
+
+    if (reason && !Object.values(SUPPRESSION_REASONS).includes(reason)) {
+      throw new ValidationError(`Invalid reason filter: ${reason}`);
+    }
+
+    const suppressions = await listSuppressions({ reason, limit });
+
+    res.status(200).json({ success: true, suppressions });
+  } catch (error) {
+    logger.error("Suppression listing error:", error);
+    next(error);
+  }
+});
+
+/**
+ * @route GET /api/email/suppressions/:email
+ * @desc Check whether an address is suppressed
+ * @access Private
+ */
+router.get("/:email", async (req, res, next) => {
+  try {
+    const [suppression] = await findSuppressions([req.params.email]);
+    if (!suppression) {
+      throw new NotFoundError(`${req.params.email} is not suppressed`);
+    }
+
+    res.status(200).json({ success: true, suppression });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route POST /api/email/suppressions
+ * @desc Suppress an address by hand
+ * @access Private
+ */
+router.post("/", async (req, res, next) => {
+  try {
+    const { email, reason, note } = req.body;
+
+    const suppression = await addSuppression(email, {
+      reason,
+      note,
+      source: "api",
+      createdBy: req.user?.email,
+    });
+
+    res.status(201).json({ success: true, suppression });
+  } catch (error) {
+    logger.error("Suppression error:", error);
+    next(error);
+  }
+});
+
+/**
+ * @route DELETE /api/email/suppressions/:email
+ * @desc Remove an address from the suppression list
+ * @access Private
+ */
+router.delete("/:email", async (req, res, next) => {
+  try {
+    const suppression = await removeSuppression(req.params.email);
+
+    res.status(200).json({
+      success: true,
+      message: `${suppression.email} can be emailed again`,
+      suppression,
+    });
+  } catch (error) {
+    logger.error("Suppression removal error:", error);
+    next(error);
+  }
+});
+
+module.exports = router;
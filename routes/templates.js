@@ -0,0 +1,223 @@
+// Email template management endpoints
+// routes/templates.js
+const express = require("express");
+const router = express.Router();
+const {
+  listBundledTemplates,
+  listTemplateVersions,
+  publishTemplateVersion,
+  rollbackTemplate,
+} = require("../services/templateStore");
+const { renderEmail, sendEmail } = require("../services/emailService");
+const { getTemplateVariables } = require("../utils/templateEngine");
+const { normalizeLocale, getSubjectTemplate } = require("../utils/i18n");
+const templateDefinitions = require("../config/templates");
+const { findTeamMemberByEmail } = require("../services/firebaseService");
+const { validateApiKey } = require("../middleware/auth");
+const {
+  ValidationError,
+  NotFoundError,
+} = require("../middleware/errorHandler");
+const logger = require("../utils/logger");
+
+// Apply auth middleware to all routes
+router.use(validateApiKey);
+
+// Only defined templates may be named; the name is also used as a file name
+router.param("name", (req, res, next, name) => {
+  if (!Object.prototype.hasOwnProperty.call(templateDefinitions, name)) {
+    return next(new NotFoundError(`Template ${name} not found`));
+  }
+  next();
+});
+
+// Validate an optional locale parameter, returning its canonical form
+const parseLocale = (locale) => {
+  if (locale === undefined || locale === "") return undefined;
+
+  const normalized = normalizeLocale(locale);
+  if (!normalized) {
+    throw new ValidationError(`Invalid locale: ${locale}`);
+  }
+  return normalized;
+};
+
+/**
+ * @route GET /api/email/templates
+ * @desc List the available email templates
+ * @access Private
+ */
+router.get("/", (req, res) => {
+  res.status(200).json({
+    success: true,
+    templates: listBundledTemplates(),
+  });
+});
+
+/**
+ * @route GET /api/email/templates/:name/versions
+ * @desc List stored versions of a template (default or per-tenant)
+ * @access Private
+ */
+router.get("/:name/versions", async (req, res, next) => {
+  try {
+    const result = await listTemplateVersions(req.params.name, {
+      tenantId: req.query.tenantId,
+      locale: parseLocale(req.query.locale),
+    });
+
+    res.status(200).json({ success: true, ...result });
+  } catch (error) {
+    logger.error("Template version listing error:", error);
+    next(error);
+  }
+});
+
+/**
+ * @route POST /api/email/templates/:name/versions
+ * @desc Publish a new template version and make it active
+ * @access Private
+ */
+router.post("/:name/versions", async (req, res, next) => {
+  try {
+    const { html, text, tenantId, locale, createdBy, note } = req.body;
+
+    if (!html) {
+      throw new ValidationError("Template html is required");
+    }
+
+    const version = await publishTemplateVersion(req.params.name, {
+      html,
+      text,
+      tenantId,
+      locale: parseLocale(locale),
+      createdBy,
+      note,
+    });
+
+    res.status(201).json({ success: true, version });
+  } catch (error) {
+    logger.error("Template publish error:", error);
+    next(error);
+  }
+});
+
+/**
+ * @route POST /api/email/templates/:name/rollback
+ * @desc Reactivate a previous version of a template
+ * @access Private
+ */
+router.post("/:name/rollback", async (req, res, next) => {
+  try {
+    const { version, tenantId, locale } = req.body;
+
+    if (!version) {
+      throw new ValidationError("Version is required");
+    }
+
+    const activated = await rollbackTemplate(req.params.name, {
+      version,
+      tenantId,
+      locale: parseLocale(locale),
+    });
+
+    res.status(200).json({ success: true, version: activated });
+  } catch (error) {
+    logger.error("Template rollback error:", error);
+    next(error);
+  }
+});
+
+/**
+ * @route POST /api/email/templates/:name/preview
+ * @desc Render a template with supplied or sample variables, optionally sending a test email
+ * @access Private
+ */
+router.post("/:name/preview", async (req, res, next) => {
+  try {
+    const { name } = req.params;
+    const {
+      variables,
+      useSampleData = true,
+      tenantId,
+      locale,
+      sendTest = false,
+      testRecipient,
+    } = req.body;
+
+    // Supplied variables take precedence over the sample data
+    const sampleData = useSampleData
+      ? templateDefinitions[name]?.sampleData || {}
+      : {};
+    const templateData = { ...sampleData, ...(variables || {}) };
+    const previewLocale = parseLocale(locale);
+
+    // Render even when variables are missing so they can be reported
+    const rendered = await renderEmail({
+      templateName: name,
+      templateData,
+      tenantId,
+      locale: previewLocale,
+      validate: false,
+    });
+
+    const referenced = [
+      ...getTemplateVariables(rendered.template.html),
+      ...getTemplateVariables(rendered.template.text || ""),
+      ...getTemplateVariables(
+        getSubjectTemplate(rendered.template.locale, name) ??
+          templateDefinitions[name]?.subject ??
+          ""
+      ),
+    ];
+    const missingVariables = [...new Set(referenced)]
+      .filter((variable) => templateData[variable] === undefined)
+      .sort();
+
+    let testSend = null;
+    if (sendTest) {
+      if (!testRecipient) {
+        throw new ValidationError("A testRecipient is required to send a test");
+      }
+
+      // API keys carry no identity, so tests may only go to the team
+      const teamMember = await findTeamMemberByEmail(testRecipient);
+      if (!teamMember) {
+        throw new ValidationError(
+          "Test emails can only be sent to a team member's address"
+        );
+      }
+      const recipient = teamMember.email;
+
+      testSend = await sendEmail({
+        to: recipient,
+        subject: `[Test] ${rendered.subject}`,
+        templateName: name,
+        templateData,
+        tenantId,
+        locale: previewLocale,
+      });
+      logger.info(`Sent test of template ${name} to ${recipient}`);
+    }
+
+    res.status(200).json({
+      success: true,
+      template: {
+        name,
+        version: rendered.template.version,
+        locale: rendered.template.locale,
+        source: rendered.template.source,
+      },
+      subject: rendered.subject,
+      html: rendered.html,
+      text: rendered.text,
+      missingVariables,
+      testSend,
+    });
+  } catch (error) {
+    logger.error("Template preview error:", error);
+    next(error);
+  }
+});
+
+module.exports = router;
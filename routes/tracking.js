@@ -0,0 +1,56 @@
+// Public open and click tracking endpoints linked from candidate email
+// routes/tracking.js
+const express = require("express");
+const router = express.Router();
+const {
+  readTrackingToken,
+  recordTrackingHit,
+} = require("../services/trackingService");
+const { DELIVERY_EVENTS } = require("../services/webhooks/eventTypes");
+
+// Transparent 1x1 GIF
+const PIXEL = Buffer.from(
+  "R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7",
+  "base64"
+);
+
+/**
+ * @route GET /api/email/track/open/:token
+ * @desc Serve the open pixel and record the open
+ * @access Public
+ */
+router.get("/open/:token", async (req, res) => {
+  const payload = readTrackingToken(req.params.token);
+  if (payload) {
+    await recordTrackingHit(payload, DELIVERY_EVENTS.OPENED, req);
+  }
+
+  // Always serve the image so a bad token doesn't show a broken one
+  // Helmet's same-origin resource policy would stop mail clients loading it
+  res.set({
+    "Content-Type": "image/gif",
+    "Cache-Control": "no-store, no-cache, must-revalidate, private",
+    "Cross-Origin-Resource-Policy": "cross-origin",
+  });
+  res.status(200).send(PIXEL);
+});
+
+/**
+ * @route GET /api/email/track/click/:token
+ * @desc Record the click and redirect to the original link
+ * @access Public
+ */
+router.get("/click/:token", async (req, res) => {
+  const payload = readTrackingToken(req.params.token);
+
+  // Only signed destinations are followed, so this can't be an open redirect
+  if (!payload?.url) {
+    return res.status(400).send("This link is invalid.");
+  }
+
+  await recordTrackingHit(payload, DELIVERY_EVENTS.CLICKED, req);
+  res.set("Cache-Control", "no-store");
+  res.redirect(302, payload.url);
+});
+
+module.exports = router;
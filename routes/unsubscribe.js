@@ -0,0 +1,106 @@
+// Public unsubscribe endpoints linked from marketing email
+// routes/unsubscribe.js
+const express = require("express");
+const router = express.Router();
+const {
+  readUnsubscribeToken,
+  unsubscribe,
+} = require("../services/unsubscribeService");
+const { processTemplate } = require("../utils/templateEngine");
+const { ValidationError } = require("../middleware/errorHandler");
+const logger = require("../utils/logger");
+
+// One-click requests are form-encoded: List-Unsubscribe=One-Click
+router.use(express.urlencoded({ extended: false }));
+
+const PAGE_TEMPLATE = `<!doctype html>
+<html>
+  <head>
+    <meta charset="utf-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1" />
+    <title>{{ title }}</title>
+  </head>
+  <body style="font-family: Arial, sans-serif; max-width: 480px; margin: 40px auto; padding: 0 20px">
+    <h1 style="font-size: 22px">{{ title }}</h1>
+    <p>{{ message }}</p>
+    {{#if confirm}}
+    <form method="post">
+      <button type="submit">Unsubscribe</button>
+    </form>
+    {{/if}}
+  </body>
+</html>`;
+
+/**
+ * Render a minimal page for people following an unsubscribe link
+ * @param {Object} content - Page title, message and whether to show the confirm button
+ * @returns {string} HTML page
+ */
+const renderPage = (content) => processTemplate(PAGE_TEMPLATE, content);
+
+/**
+ * @route GET /api/email/unsubscribe/:token
+ * @desc Ask the recipient to confirm; link scanners follow GET links, so this never unsubscribes
+ * @access Public
+ */
+router.get("/:token", (req, res) => {
+  try {
+    const { email } = readUnsubscribeToken(req.params.token);
+
+    res.status(200).send(
+      renderPage({
+        title: "Unsubscribe",
+        message: `Stop receiving recruiting updates at ${email}?`,
+        confirm: true,
+      })
+    );
+  } catch (error) {
+    res.status(400).send(
+      renderPage({
+        title: "Unsubscribe",
+        message: "This unsubscribe link is invalid.",
+      })
+    );
+  }
+});
+
+/**
+ * @route POST /api/email/unsubscribe/:token
+ * @desc Unsubscribe, either from the confirmation page or a mail client's one-click request
+ * @access Public
+ */
+router.post("/:token", async (req, res) => {
+  const oneClick = req.body?.["List-Unsubscribe"] === "One-Click";
+
+  try {
+    const { email } = await unsubscribe(req.params.token, {
+      source: oneClick ? "one_click" : "link",
+    });
+
+    res.status(200).send(
+      renderPage({
+        title: "You have been unsubscribed",
+        message: `We won't send recruiting updates to ${email} any more.`,
+      })
+    );
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).send(
+        renderPage({
+          title: "Unsubscribe",
+          message: "This unsubscribe link is invalid.",
+        })
+      );
+    }
+
+    logger.error("Unsubscribe error:", error);
+    res.status(500).send(
+      renderPage({
+        title: "Unsubscribe",
+        message: "Something went wrong. Please try again later.",
+      })
+    );
+  }
+});
+
+module.exports = router;
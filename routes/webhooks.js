@@ -2,43 +2,65 @@
 // routes/webhooks.js
 const express = require("express");
 const router = express.Router();
-const { updateMessageStatus } = require("../services/firebaseService");
+const multer = require("multer");
+const config = require("../config/email");
+const {
+  getWebhookAdapter,
+  processDeliveryEvents,
+} = require("../services/webhooks");
+const {
+  parseInboundEmail,
+  processInboundEmail,
+} = require("../services/inboundService");
+const { validateApiKey } = require("../middleware/auth");
+const {
+  AuthenticationError,
+  ValidationError,
+} = require("../middleware/errorHandler");
 const logger = require("../utils/logger");
 
+// Inbound parse posts multipart form data; raw mode sends the MIME message
+// as a text field, so fields need the same allowance as files
+const inboundUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fieldSize: config.inbound.maxEmailBytes,
+    fileSize: config.inbound.maxEmailBytes,
+  },
+});
+
 // Receive email replies or delivery events
 router.post("/receive", async (req, res, next) => {
   try {
-    // Extract provider-specific data
-    const eventData = req.body;
-
-    // Example for SendGrid event webhook
-    if (eventData.sg_event_id) {
-      // This is a SendGrid event
-      const { sg_event_id, sg_message_id, event, timestamp, email } = eventData;
-
-      // Extract our message ID from the custom headers or categories
-      const messageId = eventData.ats_message_id || "";
-
-      if (messageId) {
-        // Update message status based on the event
-        if (event === "delivered") {
-          await updateMessageStatus(messageId, "sent");
-        } else if (event === "open") {
-          await updateMessageStatus(messageId, "read");
-        } else if (["bounce", "dropped", "deferred"].includes(event)) {
-          await updateMessageStatus(messageId, "failed");
-        }
-      }
-
-      logger.info(`Processed ${event} event for email: ${email}`);
-    } else {
+    const adapter = getWebhookAdapter(req);
+
+    if (!adapter) {
       // Handle other providers or email replies
       logger.info("Received webhook data from unknown provider");
+      return res.status(200).json({ success: true });
+    }
+
+    // Only trust events whose signature checks out
+    adapter.verify(req);
+    const counts = await processDeliveryEvents(adapter.parseEvents(req));
+
+    // Events are deduplicated, so a retried batch only re-applies the failures
+    if (counts.failed > 0) {
+      return res.status(500).json({
+        success: false,
+        message: "Error processing webhook",
+        ...counts,
+      });
     }
 
-    // Always return success to the webhook caller
-    res.status(200).json({ success: true });
+    res.status(200).json({ success: true, ...counts });
   } catch (error) {
+    // Unsigned or forged requests are refused outright
+    if (error instanceof AuthenticationError) {
+      logger.warn(`Rejected webhook from ${req.ip}: ${error.message}`);
+      return res.status(401).json({ success: false, message: error.message });
+    }
+
     logger.error("Webhook processing error:", error);
 
     // Still return 200 status to prevent retries
@@ -49,4 +71,35 @@ router.post("/receive", async (req, res, next) => {
   }
 });
 
+/**
+ * @route POST /api/email/webhooks/inbound
+ * @desc Receive a candidate reply from the provider's inbound parse webhook
+ * @access Private (API key in the webhook URL's apiKey query parameter)
+ */
+router.post(
+  "/inbound",
+  validateApiKey,
+  inboundUpload.any(),
+  async (req, res, next) => {
+    try {
+      const inbound = await parseInboundEmail(req.body, req.files);
+      const result = await processInboundEmail(inbound);
+
+      // Unmatched email is acknowledged too, or the provider keeps retrying it
+      res.status(200).json({ success: true, ...result });
+    } catch (error) {
+      logger.error("Inbound email processing error:", error);
+      next(error);
+    }
+  }
+);
+
+// Report oversized emails as validation errors rather than server errors
+router.use((error, req, res, next) => {
+  if (error instanceof multer.MulterError) {
+    return next(new ValidationError(error.message, { code: error.code }));
+  }
+  next(error);
+});
+
 module.exports = router;
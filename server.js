@@ -6,6 +6,13 @@ const helmet = require("helmet");
 const rateLimit = require("express-rate-limit");
 const bodyParser = require("body-parser");
 const { errorHandler } = require("./middleware/errorHandler");
+const { getHealthSnapshot } = require("./services/providers");
+const { startOutboxWorker } = require("./services/outboxService");
+const { startScheduler } = require("./services/schedulerService");
+const { startSequenceRunner } = require("./services/sequenceService");
+const { startCampaignPreparer } = require("./services/campaignService");
+const { startOutboundWebhooks } = require("./services/outboundWebhookService");
+const { checkTemplateVariables } = require("./services/templateStore");
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -13,7 +20,15 @@ const PORT = process.env.PORT || 3001;
 // Apply basic security middleware
 app.use(helmet());
 app.use(cors());
-app.use(bodyParser.json({ limit: "10mb" }));
+app.use(
+  bodyParser.json({
+    limit: "10mb",
+    // Webhook signatures are computed over the exact bytes received
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    },
+  })
+);
 
 // Apply rate limiting
 const apiLimiter = rateLimit({
@@ -31,6 +46,14 @@ app.use(apiLimiter);
 const notificationRoutes = require("./routes/notifications");
 const communicationRoutes = require("./routes/communications");
 const webhookRoutes = require("./routes/webhooks");
+const outboxRoutes = require("./routes/outbox");
+const templateRoutes = require("./routes/templates");
+const attachmentRoutes = require("./routes/attachments");
+const sequenceRoutes = require("./routes/sequences");
+const suppressionRoutes = require("./routes/suppressions");
+const unsubscribeRoutes = require("./routes/unsubscribe");
+const trackingRoutes = require("./routes/tracking");
+const outboundWebhookRoutes = require("./routes/outboundWebhooks");
 const importRoutes = require("./routes/import");
 const emailImportRoutes = require("./routes/email-import");
 const resumeParserRoutes = require("./api/parse-resume");
@@ -39,6 +62,14 @@ const resumeParserRoutes = require("./api/parse-resume");
 app.use("/api/email/notifications", notificationRoutes);
 app.use("/api/email/communications", communicationRoutes);
 app.use("/api/email/webhooks", webhookRoutes);
+app.use("/api/email/outbox", outboxRoutes);
+app.use("/api/email/templates", templateRoutes);
+app.use("/api/email/attachments", attachmentRoutes);
+app.use("/api/email/sequences", sequenceRoutes);
+app.use("/api/email/suppressions", suppressionRoutes);
+app.use("/api/email/unsubscribe", unsubscribeRoutes);
+app.use("/api/email/track", trackingRoutes);
+app.use("/api/email/outbound-webhooks", outboundWebhookRoutes);
 app.use("/api/email/import", importRoutes);
 app.use("/api/email/inbox", emailImportRoutes);
 app.use("/api/resume", resumeParserRoutes);
@@ -58,7 +89,7 @@ app.post("/api/email/parse-attachment", (req, res, next) => {
 
 // Simple health check endpoint
 app.get("/health", (req, res) => {
-  res.status(200).json({ status: "ok" });
+  res.status(200).json({ status: "ok", providers: getHealthSnapshot() });
 });
 
 // For debugging purposes - to help identify route issues
@@ -75,4 +106,16 @@ app.use(errorHandler);
 
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
+
+  // Flag templates that use variables they don't declare
+  checkTemplateVariables();
+
+  // Start delivering queued, scheduled and sequence emails
+  startOutboxWorker();
+  startScheduler();
+  startSequenceRunner();
+  startCampaignPreparer();
+
+  // Notify subscribers of message and candidate events
+  startOutboundWebhooks();
 });
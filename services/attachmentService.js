@@ -0,0 +1,215 @@
+// services/attachmentService.js
+
+const fs = require("fs").promises;
+const path = require("path");
+const admin = require("firebase-admin");
+const config = require("../config/email");
+const logger = require("../utils/logger");
+const { db } = require("./firebaseService");
+const { ValidationError } = require("../middleware/errorHandler");
+
+const uploadsCollection = db.collection("attachmentUploads");
+
+// Relative upload directories are resolved against the project root
+const UPLOAD_DIR = path.resolve(__dirname, "..", config.attachments.uploadDir);
+
+/**
+ * Get the Firebase Storage bucket holding storage-path attachments
+ * @returns {Object} Storage bucket
+ */
+const getBucket = () =>
+  config.attachments.storageBucket
+    ? admin.storage().bucket(config.attachments.storageBucket)
+    : admin.storage().bucket();
+
+/**
+ * Check whether a MIME type may be attached to outgoing email
+ * Parameters are ignored, so "text/calendar; method=REQUEST" matches text/calendar
+ * @param {string} contentType - MIME type
+ * @returns {boolean} True if allowed
+ */
+const isAllowedType = (contentType) =>
+  config.attachments.allowedTypes.includes(
+    String(contentType ?? "")
+      .split(";")[0]
+      .trim()
+      .toLowerCase()
+  );
+
+/**
+ * Reject an attachment with a disallowed type or size
+ * @param {Object} attachment - Attachment with filename, contentType and size
+ * @throws {ValidationError} If the attachment is not allowed
+ */
+const checkAttachment = ({ filename, contentType, size }) => {
+  if (!isAllowedType(contentType)) {
+    throw new ValidationError(
+      `Attachment ${filename} has an unsupported type: ${contentType}`,
+      { filename, contentType }
+    );
+  }
+
+  if (size > config.attachments.maxFileBytes) {
+    throw new ValidationError(
+      `Attachment ${filename} exceeds the ${config.attachments.maxFileBytes} byte limit`,
+      { filename, size }
+    );
+  }
+};
+
+/**
+ * Record a file uploaded through the attachments API
+ * @param {Object} file - File saved to the upload directory by multer
+ * @param {Object} options - Upload options
+ * @param {string} options.uploadedBy - User who uploaded the file (optional)
+ * @returns {Promise<Object>} Upload record with its ID
+ */
+const recordUpload = async (file, { uploadedBy = null } = {}) => {
+  // Stored files are named <uploadId><extension>
+  const uploadId = path.parse(file.filename).name;
+
+  const upload = {
+    filename: file.originalname,
+    contentType: file.mimetype,
+    size: file.size,
+    storedName: file.filename,
+    uploadedBy,
+    createdAt: new Date().toISOString(),
+  };
+
+  await uploadsCollection.doc(uploadId).set(upload);
+  logger.info(`Stored attachment upload ${uploadId} (${upload.filename})`);
+
+  return { uploadId, ...upload };
+};
+
+/**
+ * Look up an attachment reference without loading its content
+ * @param {Object} reference - { uploadId }, { storagePath, filename } or inline { filename, content, contentType }
+ * @returns {Promise<Object>} Attachment metadata, plus content for inline attachments
+ * @throws {ValidationError} If the reference is malformed or points at nothing
+ */
+const describeAttachment = async (reference) => {
+  if (reference?.uploadId) {
+    const doc = await uploadsCollection.doc(String(reference.uploadId)).get();
+    if (!doc.exists) {
+      throw new ValidationError(
+        `Unknown attachment upload: ${reference.uploadId}`
+      );
+    }
+
+    const upload = doc.data();
+    return {
+      filename: reference.filename || upload.filename,
+      contentType: upload.contentType,
+      size: upload.size,
+      uploadId: doc.id,
+      storedName: upload.storedName,
+    };
+  }
+
+  if (reference?.storagePath) {
+    let metadata;
+    try {
+      [metadata] = await getBucket().file(reference.storagePath).getMetadata();
+    } catch (error) {
+      if (error.code === 404) {
+        throw new ValidationError(
+          `Attachment not found in storage: ${reference.storagePath}`
+        );
+      }
+      throw error;
+    }
+
+    return {
+      filename: reference.filename || path.basename(reference.storagePath),
+      contentType: metadata.contentType,
+      size: Number(metadata.size),
+      storagePath: reference.storagePath,
+    };
+  }
+
+  // Inline content is only passed by internal callers, e.g. calendar invites
+  if (reference?.content) {
+    return {
+      filename: reference.filename,
+      contentType: reference.contentType,
+      size: Buffer.byteLength(reference.content),
+      content: reference.content,
+    };
+  }
+
+  throw new ValidationError(
+    "Each attachment needs an uploadId or a storagePath",
+    { attachment: reference }
+  );
+};
+
+/**
+ * Validate attachments for an outgoing email
+ * Referenced files are only described here; their content is loaded by
+ * the outbox worker so large files never sit in the job document
+ * @param {Array<Object>} attachments - Attachment references
+ * @returns {Promise<Array<Object>>} Attachment descriptors for the outbox message
+ * @throws {ValidationError} If an attachment is missing, too large or not allowed
+ */
+const prepareAttachments = async (attachments = []) => {
+  if (!Array.isArray(attachments)) {
+    throw new ValidationError("Attachments must be an array");
+  }
+
+  const described = await Promise.all(attachments.map(describeAttachment));
+  described.forEach(checkAttachment);
+
+  const totalBytes = described.reduce((sum, { size }) => sum + size, 0);
+  if (totalBytes > config.attachments.maxTotalBytes) {
+    throw new ValidationError(
+      `Attachments total ${totalBytes} bytes, over the ${config.attachments.maxTotalBytes} byte limit`
+    );
+  }
+
+  return described;
+};
+
+/**
+ * Load the content of a described attachment
+ * @param {Object} attachment - Attachment descriptor from prepareAttachments
+ * @returns {Promise<Buffer|string>} Attachment content
+ */
+const loadContent = async (attachment) => {
+  if (attachment.content) return attachment.content;
+
+  if (attachment.storedName) {
+    return fs.readFile(path.join(UPLOAD_DIR, attachment.storedName));
+  }
+
+  const [content] = await getBucket().file(attachment.storagePath).download();
+  return content;
+};
+
+/**
+ * Fill in attachment content on an outbox message before delivery
+ * @param {Object} message - Normalized outbound message
+ * @returns {Promise<Object>} Message whose attachments all carry content
+ */
+const loadAttachmentContent = async (message) => {
+  if (!message.attachments?.length) return message;
+
+  const attachments = await Promise.all(
+    message.attachments.map(async (attachment) => ({
+      filename: attachment.filename,
+      contentType: attachment.contentType,
+      content: await loadContent(attachment),
+    }))
+  );
+
+  return { ...message, attachments };
+};
+
+module.exports = {
+  UPLOAD_DIR,
+  isAllowedType,
+  recordUpload,
+  prepareAttachments,
+  loadAttachmentContent,
+};
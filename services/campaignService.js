@@ -0,0 +1,473 @@
+// services/campaignService.js
+
+const config = require("../config/email");
+const logger = require("../utils/logger");
+const { createPoller } = require("../utils/poller");
+const templateDefinitions = require("../config/templates");
+const {
+  db,
+  getCandidate,
+  createMessage,
+  updateMessageStatus,
+} = require("./firebaseService");
+const { sendEmail, sendCandidateEmail } = require("./emailService");
+const { getSenderProfile } = require("./senderService");
+const { EMAIL_CATEGORIES } = require("./unsubscribeService");
+const { processTemplate } = require("../utils/templateEngine");
+const { BODY_FORMATS } = require("../utils/messageBody");
+const {
+  ValidationError,
+  NotFoundError,
+} = require("../middleware/errorHandler");
+
+// Campaign states; recipients are tracked on their own message documents
+const CAMPAIGN_STATUS = {
+  PREPARING: "preparing",
+  QUEUED: "queued",
+  FAILED: "failed",
+};
+
+// Message states that mean a recipient's email is still on its way
+const IN_FLIGHT_STATUSES = ["pending", "queued", "sending"];
+
+const campaignsCollection = db.collection("campaigns");
+
+/**
+ * Render recruiter-written text with a recipient's variables
+ * @param {string} source - Text containing {{ placeholders }}
+ * @param {Object} variables - Recipient variables
+ * @param {boolean} escape - HTML-escape values (for HTML bodies)
+ * @returns {string} Personalized text
+ */
+const personalize = (source, variables, escape = false) =>
+  processTemplate(source, variables, { escape });
+
+/**
+ * Check a campaign request before anything is stored
+ * @param {Object} request - Campaign request
+ * @throws {ValidationError} If the request cannot be sent
+ */
+const validateCampaign = ({
+  templateName,
+  subject,
+  body,
+  bodyFormat,
+  variables,
+  candidateIds,
+}) => {
+  if (!templateDefinitions[templateName]) {
+    throw new ValidationError(`Unknown template: ${templateName}`);
+  }
+
+  if (templateDefinitions[templateName].audience !== "candidate") {
+    throw new ValidationError(
+      `Template ${templateName} is not sent to candidates`
+    );
+  }
+
+  if (!Array.isArray(candidateIds) || candidateIds.length === 0) {
+    throw new ValidationError("candidateIds must be a non-empty array");
+  }
+
+  if (candidateIds.length > config.bulk.maxRecipients) {
+    throw new ValidationError(
+      `A campaign can have at most ${config.bulk.maxRecipients} recipients`
+    );
+  }
+
+  if (templateName !== "candidateEmail") return;
+
+  if (!subject || !body) {
+    throw new ValidationError("Subject and body are required");
+  }
+
+  if (!BODY_FORMATS.includes(bodyFormat)) {
+    throw new ValidationError(
+      `Invalid bodyFormat. Must be one of: ${BODY_FORMATS.join(", ")}`
+    );
+  }
+
+  // Surface placeholder syntax errors now rather than once per recipient
+  try {
+    personalize(subject, variables);
+    personalize(body, variables);
+  } catch (error) {
+    throw new ValidationError(`Invalid placeholder syntax: ${error.message}`);
+  }
+};
+
+/**
+ * Queue one recipient's email, recording failures on their message
+ * @param {Object} campaign - Campaign document data with its ID
+ * @param {string} candidateId - Candidate ID
+ * @param {string} pendingMessageId - Message an interrupted run created but never queued (optional)
+ */
+const queueRecipient = async (
+  campaign,
+  candidateId,
+  pendingMessageId = null
+) => {
+  const base = {
+    candidateId,
+    campaignId: campaign.id,
+    templateName: campaign.templateName,
+    type: "email",
+  };
+
+  let candidate;
+  try {
+    candidate = await getCandidate(candidateId);
+  } catch (error) {
+    await createMessage({ ...base, status: "failed", error: error.message });
+    return;
+  }
+
+  // Imported candidates without an address get a placeholder one
+  if (!candidate.email || candidate.email.endsWith("@placeholder.com")) {
+    await createMessage({
+      ...base,
+      candidateName: candidate.name,
+      status: "failed",
+      error: "Candidate has no email address",
+    });
+    return;
+  }
+
+  if (candidate.unsubscribed) {
+    await createMessage({
+      ...base,
+      candidateName: candidate.name,
+      candidateEmail: candidate.email,
+      status: "failed",
+      error: "Candidate has unsubscribed",
+    });
+    return;
+  }
+
+  // Per-recipient variables override the shared ones
+  const variables = {
+    candidateName: candidate.name || "Candidate",
+    ...campaign.variables,
+    ...(campaign.recipientVariables[candidateId] || {}),
+  };
+  const subject = campaign.subject
+    ? personalize(campaign.subject, variables)
+    : undefined;
+
+  const messageId =
+    pendingMessageId ||
+    (await createMessage({
+      ...base,
+      candidateName: candidate.name,
+      candidateEmail: candidate.email,
+      ...(subject && { subject }),
+      status: "pending",
+    }));
+
+  try {
+    const options = {
+      messageId,
+      subject,
+      tenantId: campaign.tenantId,
+      locale: candidate.locale,
+      // Campaign emails carry an unsubscribe link and are sent at the bulk rate
+      category: EMAIL_CATEGORIES.MARKETING,
+    };
+
+    if (campaign.templateName === "candidateEmail") {
+      await sendCandidateEmail({
+        ...options,
+        candidateId,
+        candidateName: variables.candidateName,
+        candidateEmail: candidate.email,
+        body: personalize(
+          campaign.body,
+          variables,
+          campaign.bodyFormat === "html"
+        ),
+        bodyFormat: campaign.bodyFormat,
+        senderName: campaign.senderName,
+        senderId: campaign.senderId,
+      });
+    } else {
+      await sendEmail({
+        ...options,
+        to: candidate.email,
+        candidateId,
+        templateName: campaign.templateName,
+        templateData: variables,
+      });
+    }
+  } catch (error) {
+    logger.error(
+      `Error queueing campaign ${campaign.id} email for candidate ${candidateId}:`,
+      error
+    );
+    await updateMessageStatus(messageId, "failed", { error: error.message });
+  }
+};
+
+/**
+ * Get the lease expiry for a campaign being prepared from now
+ * @returns {string} ISO timestamp
+ */
+const getLeaseUntil = () =>
+  new Date(Date.now() + config.bulk.leaseMs).toISOString();
+
+/**
+ * Find the message a campaign already created for a recipient
+ * @param {string} campaignId - Campaign ID
+ * @param {string} candidateId - Candidate ID
+ * @returns {Promise<Object|null>} Message with its ID, or null if there is none
+ */
+const findRecipientMessage = async (campaignId, candidateId) => {
+  const snapshot = await db
+    .collection("messages")
+    .where("campaignId", "==", campaignId)
+    .where("candidateId", "==", candidateId)
+    .limit(1)
+    .get();
+
+  if (snapshot.empty) return null;
+  const doc = snapshot.docs[0];
+  return { id: doc.id, ...doc.data() };
+};
+
+/**
+ * Queue every recipient not yet queued
+ * The outbox worker paces delivery; progress is saved after each recipient
+ * so a restart resumes where it stopped.
+ * @param {Object} campaign - Campaign document data with its ID
+ */
+const prepareCampaign = async (campaign) => {
+  const docRef = campaignsCollection.doc(campaign.id);
+  const start = campaign.preparedCount || 0;
+
+  try {
+    for (let index = start; index < campaign.candidateIds.length; index++) {
+      const candidateId = campaign.candidateIds[index];
+
+      // A previous run may have stopped after creating this recipient's message
+      const existing =
+        index === start
+          ? await findRecipientMessage(campaign.id, candidateId)
+          : null;
+
+      if (!existing || existing.status === "pending") {
+        await queueRecipient(campaign, candidateId, existing?.id);
+      }
+
+      await docRef.update({
+        preparedCount: index + 1,
+        leaseUntil: getLeaseUntil(),
+      });
+    }
+
+    await docRef.update({
+      status: CAMPAIGN_STATUS.QUEUED,
+      leaseUntil: null,
+      preparedAt: new Date().toISOString(),
+    });
+    logger.info(
+      `Queued campaign ${campaign.id} for ${campaign.candidateIds.length} recipient(s)`
+    );
+  } catch (error) {
+    logger.error(`Error preparing campaign ${campaign.id}:`, error);
+    await docRef
+      .update({
+        status: CAMPAIGN_STATUS.FAILED,
+        leaseUntil: null,
+        error: error.message,
+      })
+      .catch((updateError) =>
+        logger.error(
+          `Error marking campaign ${campaign.id} failed:`,
+          updateError
+        )
+      );
+  }
+};
+
+/**
+ * Create a bulk campaign and start queueing its emails
+ * Recipients are queued in the background; poll getCampaignProgress for status.
+ * @param {Object} options - Campaign options
+ * @param {string} options.templateName - Template to send (defaults to candidateEmail)
+ * @param {string} options.subject - Subject, may contain {{ placeholders }} (required for candidateEmail)
+ * @param {string} options.body - Message body, may contain {{ placeholders }} (required for candidateEmail)
+ * @param {string} options.bodyFormat - text, markdown or html (candidateEmail only)
+ * @param {Object} options.variables - Variables shared by every recipient
+ * @param {Array<string>} options.candidateIds - Candidates to send to
+ * @param {Object} options.recipientVariables - Per-candidate variables keyed by candidate ID
+ * @param {string} options.senderId - Team member sending the campaign (optional)
+ * @param {string} options.senderName - Sender name when no senderId is given
+ * @param {string} options.tenantId - Tenant (organization) ID (optional)
+ * @param {string} options.createdBy - User who started the campaign (optional)
+ * @returns {Promise<Object>} Campaign ID and recipient count
+ */
+const createCampaign = async ({
+  templateName = "candidateEmail",
+  subject = null,
+  body = null,
+  bodyFormat = "text",
+  variables = {},
+  candidateIds,
+  recipientVariables = {},
+  senderId = null,
+  senderName = "Hiring Team",
+  tenantId = null,
+  createdBy = null,
+}) => {
+  validateCampaign({
+    templateName,
+    subject,
+    body,
+    bodyFormat,
+    variables,
+    candidateIds,
+  });
+
+  // Catch an unknown sender before queueing anyone
+  if (senderId) await getSenderProfile(senderId);
+
+  const now = new Date().toISOString();
+  const campaign = {
+    templateName,
+    subject,
+    body,
+    bodyFormat,
+    variables,
+    candidateIds: [...new Set(candidateIds)],
+    recipientVariables,
+    senderId,
+    senderName,
+    tenantId,
+    createdBy,
+    status: CAMPAIGN_STATUS.PREPARING,
+    preparedCount: 0,
+    leaseUntil: getLeaseUntil(),
+    createdAt: now,
+  };
+
+  const docRef = campaignsCollection.doc();
+  await docRef.set(campaign);
+  logger.info(`Created campaign ${docRef.id}`);
+
+  // Queueing dozens of recipients takes a while; don't hold the request open.
+  // If this process stops first, the preparer picks the campaign up again.
+  prepareCampaign({ id: docRef.id, ...campaign });
+
+  return {
+    success: true,
+    message: "Campaign created",
+    campaignId: docRef.id,
+    recipients: campaign.candidateIds.length,
+  };
+};
+
+/**
+ * Report a campaign's progress from its recipients' message statuses
+ * @param {string} campaignId - Campaign ID
+ * @returns {Promise<Object>} Campaign status and per-status recipient counts
+ * @throws {NotFoundError} If the campaign does not exist
+ */
+const getCampaignProgress = async (campaignId) => {
+  const doc = await campaignsCollection.doc(campaignId).get();
+  if (!doc.exists) {
+    throw new NotFoundError(`Campaign ${campaignId} not found`);
+  }
+
+  const campaign = doc.data();
+  const snapshot = await db
+    .collection("messages")
+    .where("campaignId", "==", campaignId)
+    .get();
+
+  const counts = {};
+  snapshot.forEach((messageDoc) => {
+    const { status } = messageDoc.data();
+    counts[status] = (counts[status] || 0) + 1;
+  });
+
+  const total = campaign.candidateIds.length;
+  const inFlight = IN_FLIGHT_STATUSES.reduce(
+    (sum, status) => sum + (counts[status] || 0),
+    0
+  );
+
+  return {
+    campaignId,
+    status: campaign.status,
+    templateName: campaign.templateName,
+    createdAt: campaign.createdAt,
+    total,
+    // Recipients not yet given a message are still being prepared
+    preparing: total - snapshot.size,
+    counts,
+    complete: campaign.status !== CAMPAIGN_STATUS.PREPARING && inFlight === 0,
+  };
+};
+
+/**
+ * Claim a campaign whose preparation stalled so only one runner resumes it
+ * @param {Object} docRef - Campaign document reference
+ * @param {string} now - Current time as ISO string
+ * @returns {Promise<Object|null>} Campaign data, or null if already claimed
+ */
+const claimCampaign = (docRef, now) =>
+  db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(docRef);
+    if (!doc.exists) return null;
+    const data = doc.data();
+
+    if (data.status !== CAMPAIGN_STATUS.PREPARING || data.leaseUntil > now) {
+      return null;
+    }
+
+    transaction.update(docRef, { leaseUntil: getLeaseUntil() });
+    return { id: doc.id, ...data };
+  });
+
+/**
+ * Resume preparing campaigns whose runner stopped, e.g. on a restart
+ * @returns {Promise<number>} Number of campaigns resumed
+ */
+const resumeStalledCampaigns = async () => {
+  const now = new Date().toISOString();
+
+  const snapshot = await campaignsCollection
+    .where("status", "==", CAMPAIGN_STATUS.PREPARING)
+    .where("leaseUntil", "<=", now)
+    .get();
+
+  let resumed = 0;
+
+  for (const doc of snapshot.docs) {
+    const campaign = await claimCampaign(doc.ref, now);
+    if (!campaign) continue;
+
+    logger.info(
+      `Resuming campaign ${campaign.id} at recipient ${campaign.preparedCount || 0}`
+    );
+    await prepareCampaign(campaign);
+    resumed++;
+  }
+
+  return resumed;
+};
+
+// Background loop that finishes campaigns a restart left half queued
+const preparer = createPoller({
+  name: "Campaign preparer",
+  intervalMs: config.bulk.pollIntervalMs,
+  task: resumeStalledCampaigns,
+});
+
+module.exports = {
+  CAMPAIGN_STATUS,
+  createCampaign,
+  getCampaignProgress,
+  resumeStalledCampaigns,
+  startCampaignPreparer: preparer.start,
+  stopCampaignPreparer: preparer.stop,
+};
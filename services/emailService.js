@@ -1,5 +1,6 @@
 // services/emailService.js
 
+const crypto = require("crypto");
 const Imap = require("imap");
 const { simpleParser } = require("mailparser");
 const { addCandidateFromEmail } = require("./firebaseService");
@@ -8,8 +9,40 @@ const axios = require("axios");
 const fs = require("fs").promises;
 const path = require("path");
 const { processAttachment } = require("../utils/resumeProcessor");
-const { Resend } = require("resend");
-const fsSync = require("fs");
+const { processTemplate } = require("../utils/templateEngine");
+const { htmlToText } = require("../utils/htmlToText");
+const { renderMessageBody } = require("../utils/messageBody");
+const { getLocaleChain, getSubjectTemplate } = require("../utils/i18n");
+const templateDefinitions = require("../config/templates");
+const { resolveProviderChain } = require("./providers");
+const { enqueueEmail } = require("./outboxService");
+const { getDefaultSender, getSenderProfile } = require("./senderService");
+const { prepareAttachments } = require("./attachmentService");
+const {
+  SUPPRESSION_REASONS,
+  findSuppressions,
+} = require("./suppressionService");
+const {
+  EMAIL_CATEGORIES,
+  createUnsubscribeUrl,
+  getUnsubscribeHeaders,
+} = require("./unsubscribeService");
+const {
+  isReplyCaptureEnabled,
+  createReplyToken,
+  getReplyAddress,
+} = require("./inboundService");
+const { isTrackingEnabled, addTracking } = require("./trackingService");
+const {
+  normalizeAddressList,
+  validateCustomHeaders,
+} = require("../utils/emailOptions");
+const { getTemplate, getDeclaredVariables } = require("./templateStore");
+const {
+  ApiError,
+  ValidationError,
+  SuppressedRecipientError,
+} = require("../middleware/errorHandler");
 
 /**
  * Setup connection to IMAP server
@@ -556,81 +589,285 @@ const validateConnection = async (connectionConfig) => {
   });
 };
 
-// Initialize Resend with your API key
-const resend = new Resend(process.env.RESEND_API_KEY);
-
-// Get email template
-const getTemplate = (templateName) => {
-  try {
-    const templatePath = path.join(
-      __dirname,
-      "../templates",
-      `${templateName}.html`
-    );
-    return fsSync.readFileSync(templatePath, "utf8");
-  } catch (error) {
-    logger.error(`Error loading template ${templateName}:`, error);
-    throw new Error(
-      `Email template ${templateName} not found or could not be loaded`
+/**
+ * Render the subject, HTML and text of a templated email
+ * @param {Object} options - Render options
+ * @param {string} options.templateName - Template name
+ * @param {Object} options.templateData - Template variables
+ * @param {string} options.subject - Explicit subject; defaults to the template's subject line
+ * @param {string} options.tenantId - Tenant (organization) ID (optional)
+ * @param {string} options.locale - Recipient locale (optional)
+ * @param {boolean} options.validate - Reject missing required variables (default true)
+ * @returns {Promise<Object>} Rendered subject, html, text and the template used
+ * @throws {ValidationError} If a required template variable is missing
+ */
+const renderEmail = async ({
+  templateName,
+  templateData = {},
+  subject,
+  tenantId,
+  locale,
+  validate = true,
+}) => {
+  if (validate) {
+    const missing = getDeclaredVariables(templateName).required.filter(
+      (variable) => [undefined, null, ""].includes(templateData[variable])
     );
+
+    if (missing.length > 0) {
+      throw new ValidationError(
+        `Missing required variables for template ${templateName}: ${missing.join(", ")}`,
+        { template: templateName, missing }
+      );
+    }
   }
+
+  // Resolve the active template version (tenant override, stored or bundled)
+  const template = await getTemplate(templateName, { tenantId, locale });
+
+  // Format dates and numbers for the recipient's region when the template
+  // is in their language (de-AT gets the "de" template but Austrian dates)
+  const [preferredLocale] = getLocaleChain(locale);
+  const renderLocale = preferredLocale.startsWith(template.locale)
+    ? preferredLocale
+    : template.locale;
+  templateData = { ...templateData, locale: renderLocale };
+
+  const html = processTemplate(template.html, templateData);
+
+  // Explicit subjects are used verbatim; they may contain user-written braces
+  const subjectTemplate =
+    getSubjectTemplate(template.locale, templateName) ??
+    templateDefinitions[templateName]?.subject ??
+    "";
+
+  return {
+    subject:
+      subject ??
+      processTemplate(subjectTemplate, templateData, { escape: false }),
+    html,
+    // A hand-written text variant wins over the one generated from the HTML
+    text: template.text
+      ? processTemplate(template.text, templateData, { escape: false })
+      : htmlToText(html),
+    template,
+  };
 };
 
-// Replace template variables
-const processTemplate = (template, variables) => {
-  let result = template;
-  for (const [key, value] of Object.entries(variables)) {
-    result = result.replace(new RegExp(`{{\\s*${key}\\s*}}`, "g"), value || "");
+/**
+ * Drop addresses already present in an earlier recipient list
+ * @param {Array<Object>} addresses - Addresses to filter
+ * @param {Array<string>} seen - Lowercased emails already addressed
+ * @returns {Array<Object>} Addresses not yet addressed
+ */
+const withoutDuplicates = (addresses, seen) =>
+  addresses.filter(({ email }) => {
+    const key = email.toLowerCase();
+    if (seen.includes(key)) return false;
+    seen.push(key);
+    return true;
+  });
+
+/**
+ * Drop suppressed addresses from every recipient list
+ * Suppressed cc and bcc addresses are skipped silently; a send with no
+ * unsuppressed primary recipient left is refused. Unsubscribes only apply
+ * to marketing email.
+ * @param {Object} lists - Recipient lists
+ * @param {Array<string>} lists.to - Primary recipient emails
+ * @param {Array<Object>} lists.cc - Cc addresses
+ * @param {Array<Object>} lists.bcc - Bcc addresses
+ * @param {string} category - transactional or marketing
+ * @returns {Promise<Object>} Lists without suppressed addresses
+ * @throws {SuppressedRecipientError} If every primary recipient is suppressed
+ */
+const withoutSuppressed = async ({ to, cc, bcc }, category) => {
+  const suppressions = (
+    await findSuppressions([
+      ...to,
+      ...cc.map(({ email }) => email),
+      ...bcc.map(({ email }) => email),
+    ])
+  ).filter(
+    ({ reason }) =>
+      category === EMAIL_CATEGORIES.MARKETING ||
+      reason !== SUPPRESSION_REASONS.UNSUBSCRIBE
+  );
+  if (suppressions.length === 0) return { to, cc, bcc };
+
+  const suppressed = suppressions.map(({ email }) => email);
+  const allowed = (email) => !suppressed.includes(email.toLowerCase());
+  const remaining = to.filter(allowed);
+
+  if (remaining.length === 0) {
+    throw new SuppressedRecipientError(
+      `Recipient is suppressed: ${to.join(", ")}`,
+      {
+        suppressed: suppressions.map(({ email, reason, createdAt }) => ({
+          email,
+          reason,
+          createdAt,
+        })),
+      }
+    );
   }
-  return result;
+
+  logger.warn(`Skipping suppressed recipient(s): ${suppressed.join(", ")}`);
+
+  return {
+    to: remaining,
+    cc: cc.filter(({ email }) => allowed(email)),
+    bcc: bcc.filter(({ email }) => allowed(email)),
+  };
 };
 
-// Send email using Resend
+// Render an email and queue it in the outbox for delivery
+// Marketing sends (campaigns, sequences) go to one recipient and get a signed
+// unsubscribe link plus RFC 8058 List-Unsubscribe headers; transactional
+// sends such as invitations and notifications never do. Emails linked to an
+// ATS message also get first-party open and click tracking unless the tenant
+// has opted out.
 const sendEmail = async ({
   to,
+  cc = [],
+  bcc = [],
   subject,
   templateName,
   templateData,
-  from = {
-    email: process.env.DEFAULT_FROM_EMAIL,
-    name: process.env.DEFAULT_FROM_NAME,
-  },
+  from = getDefaultSender(),
+  replyTo = null,
+  headers = {},
   attachments = [],
+  tenantId,
+  locale,
+  providers = resolveProviderChain(tenantId),
+  messageId = null,
+  notBefore = null,
+  category = EMAIL_CATEGORIES.TRANSACTIONAL,
+  candidateId = null,
+  replyToken = null,
 }) => {
   try {
-    // Get and process the template
-    const template = getTemplate(templateName);
-    const htmlContent = processTemplate(template, templateData);
-
-    // Prepare email data for Resend
-    const emailData = {
-      from: `${from.name} <${from.email}>`,
-      to: Array.isArray(to) ? to : [to],
+    if (!Object.values(EMAIL_CATEGORIES).includes(category)) {
+      throw new ValidationError(
+        `Invalid category. Must be one of: ${Object.values(EMAIL_CATEGORIES).join(", ")}`
+      );
+    }
+
+    const addressed = Array.isArray(to) ? to : [to];
+
+    // Providers reject an address that appears in more than one list
+    const seen = addressed.map((email) => email.toLowerCase());
+    const {
+      to: recipients,
+      cc: ccList,
+      bcc: bccList,
+    } = await withoutSuppressed(
+      {
+        to: addressed,
+        cc: withoutDuplicates(normalizeAddressList(cc, "cc"), seen),
+        bcc: withoutDuplicates(normalizeAddressList(bcc, "bcc"), seen),
+      },
+      category
+    );
+
+    if (Array.isArray(replyTo)) {
+      throw new ValidationError("Only one replyTo address is supported");
+    }
+    const [replyToAddress = null] = normalizeAddressList(replyTo, "replyTo");
+
+    const customHeaders = validateCustomHeaders(headers);
+    const preparedAttachments = await prepareAttachments(attachments);
+
+    // Each unsubscribe link is signed for one recipient
+    let unsubscribeUrl = null;
+    if (category === EMAIL_CATEGORIES.MARKETING) {
+      if (recipients.length !== 1) {
+        throw new ValidationError(
+          "Marketing email must have exactly one primary recipient"
+        );
+      }
+      unsubscribeUrl = createUnsubscribeUrl({
+        email: recipients[0],
+        candidateId,
+        tenantId,
+      });
+    }
+
+    const { template, ...content } = await renderEmail({
+      templateName,
+      templateData: unsubscribeUrl
+        ? { ...templateData, unsubscribeUrl }
+        : templateData,
       subject,
-      html: htmlContent,
-      // Attachments if any
-      attachments: attachments.map((attachment) => ({
-        filename: attachment.filename,
-        content: attachment.content,
-      })),
+      tenantId,
+      locale,
+    });
+
+    // Our own Message-ID lets replies be threaded back through In-Reply-To
+    const internetMessageId = messageId
+      ? `<${messageId}.${crypto.randomBytes(6).toString("hex")}@${from.email.split("@")[1]}>`
+      : null;
+    const messageHeaders = {
+      ...customHeaders,
+      ...(unsubscribeUrl && getUnsubscribeHeaders(unsubscribeUrl)),
+      ...(internetMessageId && { "Message-ID": internetMessageId }),
     };
 
-    // Send the email
-    const { data, error } = await resend.emails.send(emailData);
+    // Normalized message understood by every provider driver
+    const message = {
+      from,
+      to: recipients,
+      cc: ccList,
+      bcc: bccList,
+      replyTo: replyToAddress,
+      headers: messageHeaders,
+      subject: content.subject,
+      // Opens and clicks are recorded on the ATS message, so only those are tracked
+      html:
+        messageId && isTrackingEnabled(tenantId)
+          ? addTracking(content.html, messageId)
+          : content.html,
+      text: content.text,
+      // Referenced files are loaded by the outbox worker at delivery time
+      attachments: preparedAttachments,
+      // Echoed back by providers that support it so events find the message
+      ...(messageId && { metadata: { messageId } }),
+    };
 
-    if (error) {
-      throw new Error(`Resend API error: ${error.message}`);
-    }
+    // Hand off to the outbox worker, which retries and fails over as needed
+    const job = await enqueueEmail({
+      message,
+      providers,
+      messageId,
+      notBefore,
+      category,
+      template: {
+        name: template.name,
+        version: template.version,
+        locale: template.locale,
+      },
+      // Inbound replies are matched on either of these
+      messageFields: {
+        ...(internetMessageId && { internetMessageId }),
+        ...(replyToken && { replyToken }),
+      },
+    });
 
-    logger.info(`Email sent successfully to ${to}, Resend ID: ${data.id}`);
     return {
       success: true,
-      message: "Email sent successfully",
-      id: data.id,
+      message: "Email queued for delivery",
+      jobId: job.id,
+      templateName: template.name,
+      templateVersion: template.version,
+      templateLocale: template.locale,
     };
   } catch (error) {
-    logger.error("Email sending error:", error);
-    throw new Error(`Failed to send email: ${error.message}`);
+    logger.error("Email queueing error:", error);
+
+    // Keep validation and lookup errors intact so routes can report them
+    if (error instanceof ApiError) throw error;
+    throw new Error(`Failed to queue email: ${error.message}`);
   }
 };
 
@@ -641,10 +878,13 @@ const sendAssignmentNotification = async ({
   candidateName,
   assignerName,
   teamMemberEmail,
+  tenantId,
+  locale,
 }) => {
   return sendEmail({
     to: teamMemberEmail,
-    subject: `Candidate Assigned: ${candidateName}`,
+    tenantId,
+    locale,
     templateName: "assignmentNotification",
     templateData: {
       candidateName,
@@ -663,10 +903,13 @@ const sendTeamMemberInvitation = async ({
   email,
   role,
   inviterName,
+  tenantId,
+  locale,
 }) => {
   return sendEmail({
     to: email,
-    subject: "You've been invited to join the ATS platform",
+    tenantId,
+    locale,
     templateName: "teamInvitation",
     templateData: {
       name,
@@ -686,10 +929,13 @@ const sendTeamMemberUpdate = async ({
   role,
   previousRole,
   updaterName,
+  tenantId,
+  locale,
 }) => {
   return sendEmail({
     to: email,
-    subject: "Your ATS account has been updated",
+    tenantId,
+    locale,
     templateName: "teamUpdate",
     templateData: {
       name,
@@ -710,16 +956,64 @@ const sendCandidateEmail = async ({
   candidateEmail,
   subject,
   body,
+  bodyFormat = "text",
   senderName,
+  senderId,
+  cc,
+  bcc,
+  replyTo,
+  headers,
+  attachments,
+  tenantId,
+  locale,
+  notBefore,
+  category,
 }) => {
+  // Markdown and HTML bodies are rendered and sanitized before templating
+  const renderedBody = renderMessageBody(body, bodyFormat);
+
+  // A known sender gets their own name, from-address, signature and replies
+  const sender = senderId ? await getSenderProfile(senderId) : null;
+
+  // Replies to a tracked message go to a per-message address that routes
+  // them back into the ATS rather than to a personal inbox
+  const replyToken =
+    messageId && !replyTo && isReplyCaptureEnabled()
+      ? createReplyToken()
+      : null;
+
   return sendEmail({
     to: candidateEmail,
+    cc,
+    bcc,
+    ...(sender && { from: sender.from }),
+    // An explicit Reply-To wins over the reply address and the sender's own
+    replyTo:
+      replyTo ||
+      (replyToken
+        ? {
+            name: sender?.senderName || senderName,
+            email: getReplyAddress(replyToken),
+          }
+        : sender?.replyTo),
+    headers,
+    attachments,
+    notBefore,
     subject,
+    messageId,
+    tenantId,
+    locale,
+    category,
+    candidateId,
+    replyToken,
     templateName: "candidateEmail",
     templateData: {
       candidateName,
-      messageBody: body,
-      senderName,
+      messageBody: renderedBody.html,
+      messageText: renderedBody.text,
+      senderName: sender?.senderName || senderName,
+      signatureHtml: sender?.signature?.html,
+      signatureText: sender?.signature?.text,
       messageId,
       appUrl: process.env.APP_URL || "https://your-ats-app.com",
     },
@@ -1213,6 +1507,7 @@ module.exports = {
   parseEmailAttachment,
 
   // Email sending functions
+  renderEmail,
   sendEmail,
   sendAssignmentNotification,
   sendTeamMemberInvitation,
@@ -2,6 +2,8 @@
 
 const admin = require("firebase-admin");
 const logger = require("../utils/logger");
+const { emitDomainEvent } = require("../utils/events");
+const { NotFoundError } = require("../middleware/errorHandler");
 
 // Initialize Firebase with credentials from environment variables
 let serviceAccount;
@@ -55,11 +57,13 @@ const getCandidate = async (candidateId) => {
     const doc = await docRef.get();
 
     if (!doc.exists) {
-      throw new Error(`Candidate with ID ${candidateId} not found`);
+      throw new NotFoundError(`Candidate with ID ${candidateId} not found`);
     }
 
     return { id: doc.id, ...doc.data() };
   } catch (error) {
+    if (error instanceof NotFoundError) throw error;
+
     logger.error(`Error fetching candidate with ID ${candidateId}:`, error);
     throw new Error(`Failed to retrieve candidate: ${error.message}`);
   }
@@ -170,6 +174,13 @@ const addCandidateFromEmail = async (candidateData) => {
 
     logger.info(`Added new candidate from email: ${completeData.name}`);
 
+    emitDomainEvent("candidate.imported", {
+      candidateId: newCandidateRef.id,
+      name: completeData.name,
+      email: completeData.email,
+      source: completeData.source || null,
+    });
+
     return {
       id: newCandidateRef.id,
       updated: false,
@@ -325,16 +336,20 @@ const batchAddCandidates = async (candidatesData) => {
  * Update message status
  * @param {string} messageId - Message ID
  * @param {string} status - New status
+ * @param {Object} fields - Extra fields to store with the status (optional)
  * @returns {Promise<Object>} Success indicator
  */
-const updateMessageStatus = async (messageId, status) => {
+const updateMessageStatus = async (messageId, status, fields = {}) => {
   try {
     const docRef = db.collection("messages").doc(messageId);
     await docRef.update({
+      ...fields,
       status,
       updatedAt: new Date().toISOString(),
     });
 
+    emitDomainEvent("message.status", { messageId, status });
+
     return { success: true };
   } catch (error) {
     logger.error(
@@ -345,6 +360,70 @@ const updateMessageStatus = async (messageId, status) => {
   }
 };
 
+/**
+ * Create a message record for an email this service originates
+ * @param {Object} fields - Message fields, including its initial status
+ * @returns {Promise<string>} New message ID
+ */
+const createMessage = async (fields) => {
+  try {
+    const now = new Date().toISOString();
+    const docRef = db.collection("messages").doc();
+    await docRef.set({ ...fields, createdAt: now, updatedAt: now });
+
+    return docRef.id;
+  } catch (error) {
+    logger.error("Error creating message:", error);
+    throw new Error(`Failed to create message: ${error.message}`);
+  }
+};
+
+/**
+ * Update fields on a message without changing its status
+ * @param {string} messageId - Message ID
+ * @param {Object} fields - Fields to store
+ * @returns {Promise<Object>} Success indicator
+ */
+const updateMessage = async (messageId, fields) => {
+  try {
+    const docRef = db.collection("messages").doc(messageId);
+    await docRef.update({
+      ...fields,
+      updatedAt: new Date().toISOString(),
+    });
+
+    return { success: true };
+  } catch (error) {
+    logger.error(`Error updating message ${messageId}:`, error);
+    throw new Error(`Failed to update message: ${error.message}`);
+  }
+};
+
+/**
+ * Find the message a provider accepted under its own message ID
+ * @param {string} provider - Provider name (resend, sendgrid or smtp)
+ * @param {string} providerMessageId - ID returned by the provider at send time
+ * @returns {Promise<string|null>} Message ID, or null if no message matches
+ */
+const findMessageByProviderId = async (provider, providerMessageId) => {
+  try {
+    const snapshot = await db
+      .collection("messages")
+      .where("provider", "==", provider)
+      .where("providerMessageId", "==", providerMessageId)
+      .limit(1)
+      .get();
+
+    return snapshot.empty ? null : snapshot.docs[0].id;
+  } catch (error) {
+    logger.error(
+      `Error finding message for ${provider} ID ${providerMessageId}:`,
+      error
+    );
+    throw new Error(`Failed to find message: ${error.message}`);
+  }
+};
+
 /**
  * Get team member by ID
  * @param {string} teamMemberId - Team member ID
@@ -356,16 +435,62 @@ const getTeamMember = async (teamMemberId) => {
     const doc = await docRef.get();
 
     if (!doc.exists) {
-      throw new Error(`Team member with ID ${teamMemberId} not found`);
+      throw new NotFoundError(`Team member with ID ${teamMemberId} not found`);
     }
 
     return { id: doc.id, ...doc.data() };
   } catch (error) {
+    if (error instanceof NotFoundError) throw error;
+
     logger.error(`Error fetching team member with ID ${teamMemberId}:`, error);
     throw new Error(`Failed to retrieve team member: ${error.message}`);
   }
 };
 
+/**
+ * Find the team member with a given email address
+ * @param {string} email - Email address
+ * @returns {Promise<Object|null>} Team member, or null if none matches
+ */
+const findTeamMemberByEmail = async (email) => {
+  try {
+    if (!email) return null;
+
+    const snapshot = await db
+      .collection("teamMembers")
+      .where("email", "==", email.trim())
+      .limit(1)
+      .get();
+
+    if (snapshot.empty) return null;
+
+    const doc = snapshot.docs[0];
+    return { id: doc.id, ...doc.data() };
+  } catch (error) {
+    logger.error(`Error finding team member with email ${email}:`, error);
+    throw new Error(`Failed to find team member: ${error.message}`);
+  }
+};
+
+/**
+ * Get the preferred locale stored on a candidate or team member
+ * Never throws: a missing document or field just means the default locale
+ * @param {string} collectionName - "candidates" or "teamMembers"
+ * @param {string} id - Document ID
+ * @returns {Promise<string|null>} Locale, or null if unset
+ */
+const getRecipientLocale = async (collectionName, id) => {
+  if (!id) return null;
+
+  try {
+    const doc = await db.collection(collectionName).doc(id).get();
+    return (doc.exists && doc.data().locale) || null;
+  } catch (error) {
+    logger.warn(`Could not read locale for ${collectionName}/${id}:`, error);
+    return null;
+  }
+};
+
 /**
  * Process and extract data from email attachments (resume parsing)
  * @param {Object} attachment - Email attachment data
@@ -398,8 +523,13 @@ module.exports = {
   db,
   getCandidate,
   getTeamMember,
+  findTeamMemberByEmail,
+  getRecipientLocale,
   checkCandidateExists,
   updateMessageStatus,
+  updateMessage,
+  createMessage,
+  findMessageByProviderId,
   addCandidateFromEmail,
   batchAddCandidates,
   processAttachment,
@@ -0,0 +1,177 @@
+// services/idempotencyService.js
+
+const config = require("../config/email");
+const logger = require("../utils/logger");
+const { db } = require("./firebaseService");
+const { ConflictError } = require("../middleware/errorHandler");
+
+// One entry per ATS message ID
+const collection = db.collection("idempotencyKeys");
+const messagesCollection = db.collection("messages");
+
+/**
+ * Check whether a message was queued or scheduled after a send started
+ * Covers a send whose email went out but whose completion was never saved.
+ * @param {Object|null} message - Message data
+ * @param {string} since - When the send started, as ISO string
+ * @returns {boolean} True if the email was handed off since then
+ */
+const handedOffSince = (message, since) =>
+  Boolean(message) &&
+  ((Boolean(message.queuedAt) && message.queuedAt >= since) ||
+    (["scheduled", "dispatching"].includes(message.status) &&
+      message.updatedAt >= since));
+
+/**
+ * Start a send for a message, or detect that it already happened
+ * A stale in-flight entry (e.g. the process died mid-send) may be taken over,
+ * unless its email was already queued, in which case it counts as completed
+ * @param {string} messageId - Message ID used as the idempotency key
+ * @returns {Promise<Object>} { replay: true, result } for repeats, else { replay: false }
+ * @throws {ConflictError} If another request is still sending this message
+ */
+const beginSend = async (messageId) => {
+  const docRef = collection.doc(messageId);
+
+  return db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(docRef);
+    const now = Date.now();
+
+    if (doc.exists) {
+      const entry = doc.data();
+
+      if (entry.status === "completed") {
+        return { replay: true, result: entry.result };
+      }
+
+      const startedAt = new Date(entry.startedAt).getTime();
+      const stale = now - startedAt > config.idempotency.inFlightTimeoutMs;
+
+      if (entry.status === "in_flight" && !stale) {
+        throw new ConflictError(`Message ${messageId} is already being sent`, {
+          messageId,
+          startedAt: entry.startedAt,
+        });
+      }
+
+      if (entry.status === "in_flight") {
+        const message = await transaction.get(
+          messagesCollection.doc(messageId)
+        );
+        if (handedOffSince(message.data(), entry.startedAt)) {
+          const result = {
+            success: true,
+            message: "Email queued for delivery",
+            messageId,
+            jobId: message.data().outboxJobId || null,
+          };
+          transaction.update(docRef, {
+            status: "completed",
+            result,
+            completedAt: new Date(now).toISOString(),
+          });
+          return { replay: true, result };
+        }
+      }
+    }
+
+    transaction.set(docRef, {
+      status: "in_flight",
+      startedAt: new Date(now).toISOString(),
+      result: null,
+      lastError: null,
+    });
+
+    return { replay: false };
+  });
+};
+
+/**
+ * Record the result of a successful send so repeats can return it
+ * @param {string} messageId - Message ID
+ * @param {Object} result - Result returned to the client
+ */
+const completeSend = async (messageId, result) => {
+  await collection.doc(messageId).set(
+    {
+      status: "completed",
+      result,
+      completedAt: new Date().toISOString(),
+    },
+    { merge: true }
+  );
+};
+
+/**
+ * Release a failed send so the client can retry it
+ * A completed send is never released, so a retry can't send it twice.
+ * @param {string} messageId - Message ID
+ * @param {Error} error - The failure
+ */
+const failSend = async (messageId, error) => {
+  const docRef = collection.doc(messageId);
+
+  try {
+    await db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(docRef);
+      if (!doc.exists || doc.data().status !== "in_flight") return;
+
+      transaction.update(docRef, {
+        status: "failed",
+        lastError: error.message,
+        failedAt: new Date().toISOString(),
+      });
+    });
+  } catch (updateError) {
+    logger.error(
+      `Error releasing idempotency key for message ${messageId}:`,
+      updateError
+    );
+  }
+};
+
+/**
+ * Attach the provider's message ID once the outbox has delivered the email
+ * @param {string} messageId - Message ID
+ * @param {Object} delivery - Provider name and provider message ID
+ */
+const recordDelivery = async (messageId, { provider, providerMessageId }) => {
+  await collection.doc(messageId).set(
+    {
+      status: "completed",
+      provider,
+      providerMessageId,
+      deliveredAt: new Date().toISOString(),
+    },
+    { merge: true }
+  );
+};
+
+/**
+ * Reopen a completed send whose email the outbox gave up on
+ * The same message ID can then be sent again.
+ * @param {string} messageId - Message ID
+ * @param {string} reason - Why delivery failed
+ */
+const recordDeliveryFailure = async (messageId, reason) => {
+  const docRef = collection.doc(messageId);
+
+  await db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(docRef);
+    if (!doc.exists || doc.data().status !== "completed") return;
+
+    transaction.update(docRef, {
+      status: "failed",
+      lastError: reason,
+      failedAt: new Date().toISOString(),
+    });
+  });
+};
+
+module.exports = {
+  beginSend,
+  completeSend,
+  failSend,
+  recordDelivery,
+  recordDeliveryFailure,
+};
@@ -0,0 +1,283 @@
+// services/inboundService.js
+
+const crypto = require("crypto");
+const { simpleParser } = require("mailparser");
+const config = require("../config/email");
+const logger = require("../utils/logger");
+const {
+  db,
+  createMessage,
+  updateMessage,
+  checkCandidateExists,
+} = require("./firebaseService");
+const { recordMessageEvent } = require("./messageEventService");
+const { DELIVERY_EVENTS } = require("./webhooks/eventTypes");
+const { ValidationError } = require("../middleware/errorHandler");
+
+const messagesCollection = db.collection("messages");
+
+/**
+ * Check whether per-message reply addresses are configured
+ * @returns {boolean} True if replies can be routed back to us
+ */
+const isReplyCaptureEnabled = () => Boolean(config.inbound.replyDomain);
+
+/**
+ * Generate a reply token for an outbound message
+ * Hex keeps the token intact through mail systems that lowercase addresses.
+ * @returns {string} Reply token
+ */
+const createReplyToken = () => crypto.randomBytes(12).toString("hex");
+
+/**
+ * Build the reply address that routes a candidate's reply back to one message
+ * @param {string} token - Reply token stored on the message
+ * @returns {string} Email address
+ */
+const getReplyAddress = (token) =>
+  `${config.inbound.replyLocalPart}+${token}@${config.inbound.replyDomain}`;
+
+/**
+ * Pull the reply token out of any of the addresses an email was sent to
+ * @param {Array<string>} addresses - Recipient addresses
+ * @returns {string|null} Reply token, or null if none was addressed
+ */
+const findReplyToken = (addresses) => {
+  const pattern = new RegExp(
+    `^${config.inbound.replyLocalPart}\\+([0-9a-f]+)@`,
+    "i"
+  );
+
+  for (const address of addresses) {
+    const match = pattern.exec(address.trim());
+    if (match) return match[1].toLowerCase();
+  }
+  return null;
+};
+
+/**
+ * Parse a posted inbound email into the fields we store
+ * Accepts a raw MIME message (the "send raw" option of inbound parse) or
+ * parsed fields, where only the headers are taken from the MIME parser.
+ * @param {Object} fields - Posted fields
+ * @param {string} fields.email - Raw MIME message (optional)
+ * @param {string} fields.headers - Raw header block when not sent raw
+ * @param {string} fields.subject - Subject when not sent raw
+ * @param {string} fields.text - Plain-text body when not sent raw
+ * @param {string} fields.html - HTML body when not sent raw
+ * @param {string} fields.envelope - SMTP envelope as JSON (optional)
+ * @param {Array<Object>} files - Uploaded attachments when not sent raw
+ * @returns {Promise<Object>} Parsed inbound email
+ * @throws {ValidationError} If the request carries no email
+ */
+const parseInboundEmail = async (fields, files = []) => {
+  const source = fields.email || fields.headers;
+  if (!source) {
+    throw new ValidationError("Inbound email must include email or headers");
+  }
+
+  const parsed = await simpleParser(source);
+
+  let envelope = {};
+  try {
+    envelope = fields.envelope ? JSON.parse(fields.envelope) : {};
+  } catch (error) {
+    logger.warn("Ignoring unparseable inbound envelope");
+  }
+
+  const addresses = (list) =>
+    (Array.isArray(list) ? list : [list])
+      .flatMap((entry) => entry?.value || [])
+      .map(({ address }) => address)
+      .filter(Boolean);
+
+  const references = parsed.references || [];
+  // Inline parts often have no filename, and Firestore rejects undefined
+  const attachments = fields.email
+    ? parsed.attachments.map(({ filename, contentType, size }) => ({
+        filename: filename ?? null,
+        contentType: contentType ?? null,
+        size: size ?? null,
+      }))
+    : files.map(({ originalname, mimetype, size }) => ({
+        filename: originalname ?? null,
+        contentType: mimetype ?? null,
+        size: size ?? null,
+      }));
+
+  // A malformed Date header parses to an invalid date
+  const sentAt =
+    parsed.date && !Number.isNaN(parsed.date.getTime())
+      ? parsed.date
+      : new Date();
+
+  return {
+    internetMessageId: parsed.messageId || null,
+    inReplyTo: parsed.inReplyTo || null,
+    references: Array.isArray(references) ? references : [references],
+    from: parsed.from?.value?.[0] || null,
+    recipients: [
+      ...addresses(parsed.to),
+      ...addresses(parsed.cc),
+      ...(Array.isArray(envelope.to) ? envelope.to : []),
+    ],
+    subject: parsed.subject ?? fields.subject ?? "",
+    text: (fields.email ? parsed.text : fields.text) || "",
+    html: (fields.email ? parsed.html : fields.html) || null,
+    attachments,
+    receivedAt: sentAt.toISOString(),
+  };
+};
+
+/**
+ * Find the outbound message an inbound email replies to
+ * The reply token is tried first; In-Reply-To and References are the fallback
+ * for replies that went to another address.
+ * @param {Object} inbound - Parsed inbound email
+ * @returns {Promise<Object|null>} Original message with its ID, or null
+ */
+const findOriginalMessage = async (inbound) => {
+  const token = findReplyToken(inbound.recipients);
+  if (token) {
+    const snapshot = await messagesCollection
+      .where("replyToken", "==", token)
+      .limit(1)
+      .get();
+    if (!snapshot.empty) {
+      const doc = snapshot.docs[0];
+      return { id: doc.id, ...doc.data() };
+    }
+  }
+
+  // Most recent first, so a reply to a follow-up threads under the follow-up
+  const ids = [inbound.inReplyTo, ...[...inbound.references].reverse()].filter(
+    Boolean
+  );
+  for (const internetMessageId of [...new Set(ids)]) {
+    const snapshot = await messagesCollection
+      .where("internetMessageId", "==", internetMessageId)
+      .limit(1)
+      .get();
+    if (!snapshot.empty) {
+      const doc = snapshot.docs[0];
+      return { id: doc.id, ...doc.data() };
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Check whether an inbound email has already been stored
+ * Providers retry posts that time out, so the same email can arrive twice.
+ * @param {string} internetMessageId - Message-ID header of the inbound email
+ * @returns {Promise<boolean>} True if already stored
+ */
+const isDuplicate = async (internetMessageId) => {
+  if (!internetMessageId) return false;
+
+  const snapshot = await messagesCollection
+    .where("direction", "==", "inbound")
+    .where("internetMessageId", "==", internetMessageId)
+    .limit(1)
+    .get();
+  return !snapshot.empty;
+};
+
+/**
+ * Store an inbound email as a message on the candidate and thread it
+ * The original outbound message, if found, is marked replied, and the
+ * candidate's sequences that stop on reply are stopped either way.
+ * @param {Object} inbound - Parsed inbound email
+ * @returns {Promise<Object>} Stored message ID and the message it replies to
+ */
+const processInboundEmail = async (inbound) => {
+  if (await isDuplicate(inbound.internetMessageId)) {
+    logger.info(
+      `Skipping duplicate inbound email ${inbound.internetMessageId}`
+    );
+    return { stored: false, duplicate: true };
+  }
+
+  const original = await findOriginalMessage(inbound);
+  const fromEmail = inbound.from?.address?.toLowerCase() || null;
+
+  // Unthreaded email is still kept if it comes from a known candidate
+  const candidate = original?.candidateId
+    ? null
+    : await checkCandidateExists(fromEmail);
+  const candidateId = original?.candidateId || candidate?.id || null;
+
+  if (!candidateId) {
+    logger.info(
+      `Ignoring inbound email from ${fromEmail}: no matching message or candidate`
+    );
+    return { stored: false, duplicate: false };
+  }
+
+  const messageId = await createMessage({
+    direction: "inbound",
+    type: "email",
+    status: "received",
+    candidateId,
+    candidateName:
+      inbound.from?.name || original?.candidateName || candidate?.name || null,
+    candidateEmail: fromEmail,
+    subject: inbound.subject,
+    body: inbound.text,
+    bodyHtml: inbound.html,
+    attachments: inbound.attachments,
+    inReplyTo: original?.id || null,
+    internetMessageId: inbound.internetMessageId,
+    receivedAt: inbound.receivedAt,
+  });
+
+  if (original) {
+    await recordMessageEvent(
+      original.id,
+      {
+        provider: "inbound",
+        eventId: messageId,
+        type: DELIVERY_EVENTS.REPLIED,
+        email: fromEmail,
+        occurredAt: inbound.receivedAt,
+        details: { replyMessageId: messageId },
+      },
+      "replied"
+    );
+    await updateMessage(original.id, {
+      lastReplyAt: inbound.receivedAt,
+      lastReplyMessageId: messageId,
+    });
+  }
+
+  logger.info(
+    `Stored reply ${messageId} from ${fromEmail}${original ? ` to message ${original.id}` : ""}`
+  );
+
+  // Required here: sequenceService depends on emailService, which depends on this module
+  const { stopCandidateEnrollments } = require("./sequenceService");
+  await stopCandidateEnrollments(candidateId, "replied", {
+    onReply: true,
+  }).catch((error) =>
+    logger.error(
+      `Error stopping sequences for candidate ${candidateId}:`,
+      error
+    )
+  );
+
+  return {
+    stored: true,
+    duplicate: false,
+    messageId,
+    inReplyTo: original?.id || null,
+  };
+};
+
+module.exports = {
+  isReplyCaptureEnabled,
+  createReplyToken,
+  getReplyAddress,
+  parseInboundEmail,
+  processInboundEmail,
+};
@@ -0,0 +1,330 @@
+// services/interviewService.js
+
+const crypto = require("crypto");
+const config = require("../config/email");
+const logger = require("../utils/logger");
+const { db } = require("./firebaseService");
+const { sendEmail } = require("./emailService");
+const {
+  CALENDAR_METHODS,
+  ATTENDEE_ROLES,
+  buildCalendarEvent,
+} = require("../utils/icalendar");
+const { isValidTimeZone } = require("../utils/timezone");
+const { normalizeAddressList } = require("../utils/emailOptions");
+const {
+  ValidationError,
+  NotFoundError,
+  ConflictError,
+} = require("../middleware/errorHandler");
+
+// What a send does to the calendar event
+const INTERVIEW_ACTIONS = ["invite", "reschedule", "cancel"];
+
+const interviewsCollection = db.collection("interviews");
+
+/**
+ * Generate a globally unique calendar UID for a new interview
+ * @returns {string} UID in the form <uuid>@<sender domain>
+ */
+const createEventUid = () =>
+  `${crypto.randomUUID()}@${config.sender.email.split("@")[1]}`;
+
+/**
+ * Check the start and end of an interview
+ * @param {string} startTime - Start time as an ISO 8601 string
+ * @param {string} endTime - End time as an ISO 8601 string
+ * @throws {ValidationError} If either time is invalid or the end is not after the start
+ */
+const validateTimes = (startTime, endTime) => {
+  const start = new Date(startTime);
+  const end = new Date(endTime);
+
+  if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+    throw new ValidationError("startTime and endTime must be valid dates");
+  }
+
+  if (end <= start) {
+    throw new ValidationError("endTime must be after startTime");
+  }
+};
+
+/**
+ * Record an invitation, update or cancellation and bump the event sequence
+ * @param {string} interviewId - Interview ID from the scheduling system
+ * @param {string} action - invite, reschedule or cancel
+ * @param {Object} details - Interview details supplied with the request
+ * @returns {Promise<Object>} Interview as it should now be announced, and the
+ * stored interview it replaced (null if there was none)
+ */
+const recordInterviewChange = (interviewId, action, details) => {
+  const docRef = interviewsCollection.doc(interviewId);
+
+  return db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(docRef);
+    const existing = doc.exists ? doc.data() : null;
+    const now = new Date().toISOString();
+
+    if (action === "invite") {
+      // An invitation whose email never got queued may be sent again
+      if (existing && existing.status !== "cancelled" && existing.lastJobId) {
+        throw new ConflictError(
+          `Interview ${interviewId} has already been sent; reschedule it instead`
+        );
+      }
+
+      // Re-inviting after a cancellation revives the same calendar event
+      const interview = {
+        ...details,
+        uid: existing?.uid || createEventUid(),
+        sequence: existing ? existing.sequence + 1 : 0,
+        status: "scheduled",
+        createdAt: existing?.createdAt || now,
+        updatedAt: now,
+      };
+      validateTimes(interview.startTime, interview.endTime);
+      transaction.set(docRef, interview);
+      return { interview, previous: existing };
+    }
+
+    if (!existing) {
+      throw new NotFoundError(`Interview ${interviewId} not found`);
+    }
+
+    if (existing.status === "cancelled") {
+      throw new ConflictError(`Interview ${interviewId} is already cancelled`);
+    }
+
+    // Anything not supplied keeps its previous value
+    const interview = {
+      ...existing,
+      ...details,
+      sequence: existing.sequence + 1,
+      status: action === "cancel" ? "cancelled" : "scheduled",
+      updatedAt: now,
+    };
+    validateTimes(interview.startTime, interview.endTime);
+    transaction.set(docRef, interview);
+    return { interview, previous: existing };
+  });
+};
+
+/**
+ * Undo a recorded change whose email could not be queued
+ * Left alone if another change has been recorded since.
+ * @param {string} interviewId - Interview ID
+ * @param {number} sequence - Sequence of the change to undo
+ * @param {Object|null} previous - Stored interview before the change
+ */
+const revertInterviewChange = (interviewId, sequence, previous) => {
+  const docRef = interviewsCollection.doc(interviewId);
+
+  return db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(docRef);
+    if (!doc.exists || doc.data().sequence !== sequence) return;
+
+    if (previous) {
+      transaction.set(docRef, previous);
+    } else {
+      transaction.delete(docRef);
+    }
+  });
+};
+
+/**
+ * Send an interview invitation, update or cancellation with an ICS attachment
+ * Every version of an interview shares one calendar UID; the sequence number
+ * increases with each change so calendars replace the earlier version.
+ * @param {Object} options - Interview options
+ * @param {string} options.interviewId - Interview ID from the scheduling system
+ * @param {string} options.action - invite (default), reschedule or cancel
+ * @param {string} options.candidateName - Candidate name
+ * @param {string} options.candidateEmail - Candidate email address
+ * @param {string} options.title - Interview title
+ * @param {string} options.startTime - Start time as an ISO 8601 string
+ * @param {string} options.endTime - End time as an ISO 8601 string
+ * @param {string} options.timezone - IANA time zone to show times in
+ * @param {string} options.location - Location (optional)
+ * @param {string} options.meetingUrl - Video meeting link (optional)
+ * @param {string} options.description - Calendar event description (optional)
+ * @param {Object} options.organizer - Organizer with name and email
+ * @param {Array<Object>} options.attendees - Interview panel with name and email (optional)
+ * @param {string} options.tenantId - Tenant (organization) ID (optional)
+ * @param {string} options.locale - Candidate locale (optional)
+ * @returns {Promise<Object>} Queueing result with the calendar UID and sequence
+ */
+const sendInterviewEmail = async ({
+  interviewId,
+  action = "invite",
+  tenantId,
+  locale,
+  ...fields
+}) => {
+  if (!INTERVIEW_ACTIONS.includes(action)) {
+    throw new ValidationError(
+      `Invalid action. Must be one of: ${INTERVIEW_ACTIONS.join(", ")}`
+    );
+  }
+
+  // Only keep supplied fields so reschedules and cancellations can be partial
+  const details = Object.fromEntries(
+    Object.entries(fields).filter(([, value]) => value !== undefined)
+  );
+
+  if (action === "invite") {
+    const required = [
+      "candidateEmail",
+      "title",
+      "startTime",
+      "endTime",
+      "organizer",
+    ];
+    const missing = required.filter((field) => !details[field]);
+    if (missing.length > 0) {
+      throw new ValidationError(
+        `Missing required fields for an invitation: ${missing.join(", ")}`
+      );
+    }
+  }
+
+  if (details.organizer && !details.organizer.email) {
+    throw new ValidationError("Organizer email is required");
+  }
+
+  // Roles go into the calendar file verbatim, so only standard ones are allowed
+  if (details.attendees !== undefined) {
+    if (!Array.isArray(details.attendees)) {
+      throw new ValidationError("attendees must be a list");
+    }
+    const invalid = details.attendees.find(
+      (attendee) => attendee?.role && !ATTENDEE_ROLES.includes(attendee.role)
+    );
+    if (invalid) {
+      throw new ValidationError(
+        `Invalid attendee role ${invalid.role}. Must be one of: ${ATTENDEE_ROLES.join(", ")}`
+      );
+    }
+  }
+
+  // The meeting link is written into the calendar file as a URI
+  if (details.meetingUrl !== undefined) {
+    let url;
+    try {
+      url = new URL(details.meetingUrl);
+    } catch (error) {
+      throw new ValidationError("meetingUrl must be an absolute URL");
+    }
+    if (
+      !["http:", "https:"].includes(url.protocol) ||
+      /\s/.test(details.meetingUrl)
+    ) {
+      throw new ValidationError("meetingUrl must be an http or https URL");
+    }
+  }
+
+  if (details.timezone && !isValidTimeZone(details.timezone)) {
+    throw new ValidationError(`Invalid timezone: ${details.timezone}`);
+  }
+
+  // Check every address before anything is stored
+  normalizeAddressList(details.candidateEmail, "candidateEmail");
+  normalizeAddressList(details.organizer, "organizer");
+  normalizeAddressList(details.attendees, "attendees");
+
+  const { interview, previous } = await recordInterviewChange(
+    interviewId,
+    action,
+    details
+  );
+
+  const method =
+    action === "cancel" ? CALENDAR_METHODS.CANCEL : CALENDAR_METHODS.REQUEST;
+  const attendees = interview.attendees || [];
+
+  const calendar = buildCalendarEvent({
+    uid: interview.uid,
+    sequence: interview.sequence,
+    method,
+    start: interview.startTime,
+    end: interview.endTime,
+    summary: interview.title,
+    description: interview.description,
+    location: interview.location || interview.meetingUrl,
+    url: interview.meetingUrl,
+    organizer: interview.organizer,
+    attendees: [
+      { name: interview.candidateName, email: interview.candidateEmail },
+      ...attendees,
+    ],
+  });
+
+  let result;
+  try {
+    result = await sendEmail({
+      to: interview.candidateEmail,
+      // The panel gets the same calendar update as the candidate
+      cc: attendees,
+      replyTo: interview.organizer,
+      tenantId,
+      locale,
+      templateName: "interviewInvitation",
+      templateData: {
+        candidateName: interview.candidateName || "Candidate",
+        interviewTitle: interview.title,
+        startTime: interview.startTime,
+        endTime: interview.endTime,
+        timezone: interview.timezone || "UTC",
+        organizerName: interview.organizer.name || interview.organizer.email,
+        location: interview.location,
+        meetingUrl: interview.meetingUrl,
+        isUpdate: action === "reschedule",
+        isCancelled: action === "cancel",
+      },
+      attachments: [
+        {
+          filename:
+            method === CALENDAR_METHODS.CANCEL ? "cancel.ics" : "invite.ics",
+          content: Buffer.from(calendar, "utf8"),
+          // Calendar clients only offer accept/decline when the method is declared
+          contentType: `text/calendar; charset=utf-8; method=${method}`,
+        },
+      ],
+    });
+  } catch (error) {
+    // Otherwise a cancellation that never went out would block its own retry
+    await revertInterviewChange(
+      interviewId,
+      interview.sequence,
+      previous
+    ).catch((revertError) =>
+      logger.error(
+        `Error reverting interview ${interviewId} after a failed send:`,
+        revertError
+      )
+    );
+    throw error;
+  }
+
+  await interviewsCollection.doc(interviewId).update({
+    lastJobId: result.jobId,
+    updatedAt: new Date().toISOString(),
+  });
+
+  logger.info(
+    `Sent interview ${action} for ${interviewId} (sequence ${interview.sequence})`
+  );
+
+  return {
+    ...result,
+    interviewId,
+    action,
+    uid: interview.uid,
+    sequence: interview.sequence,
+    status: interview.status,
+  };
+};
+
+module.exports = {
+  INTERVIEW_ACTIONS,
+  sendInterviewEmail,
+};
@@ -0,0 +1,188 @@
+// services/messageEventService.js
+
+const { db } = require("./firebaseService");
+const { emitDomainEvent } = require("../utils/events");
+const { NotFoundError } = require("../middleware/errorHandler");
+
+// Later stages outrank earlier ones so late or out-of-order events never
+// move a message backwards, e.g. a delayed "delivered" after an "open"
+const STATUS_PRECEDENCE = {
+  pending: 0,
+  scheduled: 0,
+  queued: 1,
+  sending: 2,
+  sent: 3,
+  failed: 4,
+  read: 5,
+  replied: 6,
+};
+
+const messagesCollection = db.collection("messages");
+
+/**
+ * Check whether an event-driven status should replace the current one
+ * Messages in a status outside the precedence list (e.g. cancelled) keep it.
+ * @param {string} next - Status implied by the event
+ * @param {string} current - Current message status
+ * @returns {boolean} True if the message should move to the new status
+ */
+const outranks = (next, current) =>
+  STATUS_PRECEDENCE[next] !== undefined &&
+  STATUS_PRECEDENCE[current] !== undefined &&
+  STATUS_PRECEDENCE[next] > STATUS_PRECEDENCE[current];
+
+/**
+ * Store a provider event under its message and advance the message status
+ * @param {string} messageId - Message ID
+ * @param {Object} event - Delivery event with provider, eventId, type and occurredAt
+ * @param {string|null} status - Status the event implies, if any
+ * @returns {Promise<Object|null>} Resulting status and whether it changed, or null if the message does not exist
+ */
+const recordMessageEvent = async (messageId, event, status = null) => {
+  const messageRef = messagesCollection.doc(messageId);
+  const eventRef = messageRef
+    .collection("events")
+    .doc(`${event.provider}_${event.eventId}`);
+
+  const result = await db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(messageRef);
+    if (!doc.exists) return null;
+
+    const { status: current, lastEventAt } = doc.data();
+    const advance = Boolean(status) && outranks(status, current);
+    const latest = !lastEventAt || event.occurredAt >= lastEventAt;
+    const now = new Date().toISOString();
+
+    transaction.set(eventRef, {
+      provider: event.provider,
+      eventId: event.eventId,
+      type: event.type,
+      email: event.email || null,
+      providerMessageId: event.providerMessageId || null,
+      occurredAt: event.occurredAt,
+      receivedAt: now,
+      details: event.details || {},
+      // Status this event moved the message to, if any
+      appliedStatus: advance ? status : null,
+    });
+
+    transaction.update(messageRef, {
+      ...(advance && { status }),
+      ...(latest && {
+        lastEventType: event.type,
+        lastEventAt: event.occurredAt,
+      }),
+      updatedAt: now,
+    });
+
+    return { status: advance ? status : current, changed: advance };
+  });
+
+  // Emitted after the commit, since a transaction may run more than once
+  if (result?.changed) {
+    emitDomainEvent("message.status", { messageId, status: result.status });
+  }
+
+  return result;
+};
+
+/**
+ * Move a message to a status set by the delivery pipeline, e.g. the outbox worker
+ * Events can arrive before the worker records its own progress, so a status
+ * already advanced by a provider event is kept; the fields are stored either way.
+ * @param {string} messageId - Message ID
+ * @param {string} status - New status
+ * @param {Object} fields - Extra fields to store (optional)
+ * @returns {Promise<Object|null>} Resulting status and whether it changed, or null if the message does not exist
+ */
+const updatePipelineStatus = async (messageId, status, fields = {}) => {
+  const messageRef = messagesCollection.doc(messageId);
+
+  const result = await db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(messageRef);
+    if (!doc.exists) return null;
+
+    const { status: current, lastEventAt } = doc.data();
+    // Without events the worker owns the status, including retries moving it back
+    const keep = Boolean(lastEventAt) && outranks(current, status);
+
+    transaction.update(messageRef, {
+      ...fields,
+      ...(!keep && { status }),
+      updatedAt: new Date().toISOString(),
+    });
+
+    return { status: keep ? current : status, changed: !keep };
+  });
+
+  if (result?.changed) {
+    emitDomainEvent("message.status", { messageId, status: result.status });
+  }
+
+  return result;
+};
+
+/**
+ * List a message's provider events, oldest first
+ * @param {string} messageId - Message ID
+ * @returns {Promise<Array<Object>>} Events
+ */
+const listMessageEvents = async (messageId) => {
+  const snapshot = await messagesCollection
+    .doc(messageId)
+    .collection("events")
+    .orderBy("occurredAt")
+    .get();
+  return snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+};
+
+/**
+ * Get a message with its full delivery timeline
+ * @param {string} messageId - Message ID
+ * @returns {Promise<Object>} Message with its events
+ * @throws {NotFoundError} If the message does not exist
+ */
+const getMessageTimeline = async (messageId) => {
+  const doc = await messagesCollection.doc(messageId).get();
+  if (!doc.exists) {
+    throw new NotFoundError(`Message ${messageId} not found`);
+  }
+
+  return {
+    id: doc.id,
+    ...doc.data(),
+    events: await listMessageEvents(messageId),
+  };
+};
+
+/**
+ * Get every message sent to a candidate with its delivery timeline, newest first
+ * Needs a composite index on messages (candidateId, createdAt)
+ * @param {string} candidateId - Candidate ID
+ * @param {Object} options - Options
+ * @param {number} options.limit - Maximum number of messages
+ * @returns {Promise<Array<Object>>} Messages with their events
+ */
+const getCandidateTimeline = async (candidateId, { limit = 50 } = {}) => {
+  const snapshot = await messagesCollection
+    .where("candidateId", "==", candidateId)
+    .orderBy("createdAt", "desc")
+    .limit(limit)
+    .get();
+
+  return Promise.all(
+    snapshot.docs.map(async (doc) => ({
+      id: doc.id,
+      ...doc.data(),
+      events: await listMessageEvents(doc.id),
+    }))
+  );
+};
+
+module.exports = {
+  STATUS_PRECEDENCE,
+  recordMessageEvent,
+  updatePipelineStatus,
+  getMessageTimeline,
+  getCandidateTimeline,
+};
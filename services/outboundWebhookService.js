@@ -0,0 +1,694 @@
+// services/outboundWebhookService.js
+
+const crypto = require("crypto");
+const dns = require("dns");
+const net = require("net");
+const axios = require("axios");
+const config = require("../config/email");
+const logger = require("../utils/logger");
+const { createPoller } = require("../utils/poller");
+const { domainEvents } = require("../utils/events");
+const { db } = require("./firebaseService");
+const {
+  ValidationError,
+  NotFoundError,
+  ConflictError,
+} = require("../middleware/errorHandler");
+
+// Events subscribers can register for
+const WEBHOOK_EVENTS = {
+  MESSAGE_SENT: "message.sent",
+  MESSAGE_FAILED: "message.failed",
+  MESSAGE_READ: "message.read",
+  MESSAGE_REPLIED: "message.replied",
+  CANDIDATE_IMPORTED: "candidate.imported",
+};
+
+// Message statuses that are announced, and the event each one becomes
+const STATUS_EVENTS = {
+  sent: WEBHOOK_EVENTS.MESSAGE_SENT,
+  failed: WEBHOOK_EVENTS.MESSAGE_FAILED,
+  read: WEBHOOK_EVENTS.MESSAGE_READ,
+  replied: WEBHOOK_EVENTS.MESSAGE_REPLIED,
+};
+
+// Delivery states; "dead" deliveries exhausted their attempts
+const DELIVERY_STATUS = {
+  PENDING: "pending",
+  PROCESSING: "processing",
+  DELIVERED: "delivered",
+  DEAD: "dead",
+};
+
+// Loopback, private, link-local (cloud metadata) and other non-public ranges
+const PRIVATE_NETWORKS = new net.BlockList();
+[
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4],
+].forEach(([address, prefix]) =>
+  PRIVATE_NETWORKS.addSubnet(address, prefix, "ipv4")
+);
+[
+  ["::", 128],
+  ["::1", 128],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+].forEach(([address, prefix]) =>
+  PRIVATE_NETWORKS.addSubnet(address, prefix, "ipv6")
+);
+
+const subscriptionsCollection = db.collection("webhookSubscriptions");
+const deliveriesCollection = db.collection("webhookDeliveries");
+
+/**
+ * Compute the delay before the next delivery attempt
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} Delay in milliseconds
+ */
+const getBackoffDelay = (attempts) => {
+  const { backoffBaseMs, backoffMaxMs } = config.outboundWebhooks;
+  const delay = Math.min(backoffBaseMs * 2 ** (attempts - 1), backoffMaxMs);
+  // Up to 20% jitter so retries after an outage don't arrive in lockstep
+  return Math.round(delay * (1 + Math.random() * 0.2));
+};
+
+/**
+ * Sign a payload the way subscribers verify it
+ * Subscribers recompute HMAC-SHA256(secret, "<timestamp>.<body>") and compare
+ * it with the v1 value of the X-Webhook-Signature header.
+ * @param {string} secret - Subscription secret
+ * @param {string} timestamp - Unix timestamp in seconds
+ * @param {string} body - Raw JSON body
+ * @returns {string} Hex signature
+ */
+const signPayload = (secret, timestamp, body) =>
+  crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+
+/**
+ * Check whether an IP address is outside the public internet
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} True for loopback, private, link-local and reserved addresses
+ */
+const isPrivateAddress = (address) => {
+  // IPv4-mapped IPv6 addresses reach the IPv4 host
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return isPrivateAddress(mapped[1]);
+
+  const family = net.isIP(address);
+  if (!family) return false;
+  return PRIVATE_NETWORKS.check(address, family === 4 ? "ipv4" : "ipv6");
+};
+
+/**
+ * Check whether a URL's host is obviously not public, without a DNS lookup
+ * @param {URL} url - Subscriber URL
+ * @returns {boolean} True for localhost names and non-public IP literals
+ */
+const isPrivateHost = (url) => {
+  const hostname = url.hostname
+    .replace(/^\[|\]$/g, "")
+    .replace(/\.$/, "")
+    .toLowerCase();
+  return (
+    hostname === "localhost" ||
+    hostname.endsWith(".localhost") ||
+    isPrivateAddress(hostname)
+  );
+};
+
+/**
+ * Resolve a subscriber host, refusing addresses outside the public internet
+ * Used as the request's DNS lookup so the checked address is the one connected to.
+ * @param {string} hostname - Host to resolve
+ * @param {Object} options - dns.lookup options
+ * @returns {Promise<Array<Object>>} Resolved addresses
+ */
+const lookupPublicAddress = async (hostname, options) => {
+  const addresses = await dns.promises.lookup(hostname, {
+    ...options,
+    all: true,
+  });
+
+  if (addresses.some(({ address }) => isPrivateAddress(address))) {
+    throw new Error(`${hostname} resolves to a private address`);
+  }
+  return addresses;
+};
+
+/**
+ * Hide a subscription's signing secret
+ * @param {Object} subscription - Subscription with its ID
+ * @returns {Object} Subscription safe to return
+ */
+const withoutSecret = ({ secret, ...subscription }) => subscription;
+
+/**
+ * Validate subscription fields from a request
+ * @param {Object} fields - url, events, description and active
+ * @param {Object} options - Validation options
+ * @param {boolean} options.partial - Only validate the fields present
+ * @returns {Object} Validated fields
+ * @throws {ValidationError} If a field is invalid
+ */
+const validateSubscription = (fields, { partial = false } = {}) => {
+  const validated = {};
+
+  if (!partial || fields.url !== undefined) {
+    let url;
+    try {
+      url = new URL(fields.url);
+    } catch (error) {
+      throw new ValidationError("url must be an absolute URL");
+    }
+    if (!["http:", "https:"].includes(url.protocol)) {
+      throw new ValidationError("url must use http or https");
+    }
+    if (!config.outboundWebhooks.allowPrivateUrls && isPrivateHost(url)) {
+      throw new ValidationError("url must point to a public host");
+    }
+    validated.url = url.toString();
+  }
+
+  if (!partial || fields.events !== undefined) {
+    const known = Object.values(WEBHOOK_EVENTS);
+    if (
+      !Array.isArray(fields.events) ||
+      fields.events.length === 0 ||
+      fields.events.some((event) => !known.includes(event))
+    ) {
+      throw new ValidationError(
+        `events must be a non-empty list of: ${known.join(", ")}`
+      );
+    }
+    validated.events = [...new Set(fields.events)];
+  }
+
+  if (fields.description !== undefined) {
+    validated.description = String(fields.description);
+  }
+
+  if (fields.active !== undefined) {
+    if (typeof fields.active !== "boolean") {
+      throw new ValidationError("active must be true or false");
+    }
+    validated.active = fields.active;
+  }
+
+  return validated;
+};
+
+/**
+ * Register a subscriber URL
+ * The signing secret is only returned here; store it on the subscriber side.
+ * @param {Object} fields - url, events and description
+ * @param {Object} options - Creation options
+ * @param {string} options.createdBy - Who registered the subscription (optional)
+ * @returns {Promise<Object>} Created subscription including its secret
+ */
+const createSubscription = async (fields, { createdBy = null } = {}) => {
+  const now = new Date().toISOString();
+  const subscription = {
+    description: "",
+    active: true,
+    ...validateSubscription(fields),
+    secret: `whsec_${crypto.randomBytes(24).toString("hex")}`,
+    createdBy,
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  const docRef = subscriptionsCollection.doc();
+  await docRef.set(subscription);
+
+  logger.info(
+    `Registered webhook subscription ${docRef.id} for ${subscription.events.join(", ")}`
+  );
+
+  return { id: docRef.id, ...subscription };
+};
+
+/**
+ * List subscriptions, newest first
+ * @returns {Promise<Array<Object>>} Subscriptions without their secrets
+ */
+const listSubscriptions = async () => {
+  const snapshot = await subscriptionsCollection
+    .orderBy("createdAt", "desc")
+    .get();
+  return snapshot.docs.map((doc) =>
+    withoutSecret({ id: doc.id, ...doc.data() })
+  );
+};
+
+/**
+ * Get a subscription, including its secret
+ * @param {string} subscriptionId - Subscription ID
+ * @returns {Promise<Object>} Subscription
+ * @throws {NotFoundError} If the subscription does not exist
+ */
+const loadSubscription = async (subscriptionId) => {
+  const doc = await subscriptionsCollection.doc(subscriptionId).get();
+  if (!doc.exists) {
+    throw new NotFoundError(`Webhook subscription ${subscriptionId} not found`);
+  }
+  return { id: doc.id, ...doc.data() };
+};
+
+/**
+ * Get a subscription
+ * @param {string} subscriptionId - Subscription ID
+ * @returns {Promise<Object>} Subscription without its secret
+ * @throws {NotFoundError} If the subscription does not exist
+ */
+const getSubscription = async (subscriptionId) =>
+  withoutSecret(await loadSubscription(subscriptionId));
+
+/**
+ * Change a subscription's URL, events, description or active flag
+ * @param {string} subscriptionId - Subscription ID
+ * @param {Object} fields - Fields to change
+ * @returns {Promise<Object>} Updated subscription without its secret
+ * @throws {NotFoundError} If the subscription does not exist
+ */
+const updateSubscription = async (subscriptionId, fields) => {
+  const update = {
+    ...validateSubscription(fields, { partial: true }),
+    updatedAt: new Date().toISOString(),
+  };
+
+  const subscription = await loadSubscription(subscriptionId);
+  await subscriptionsCollection.doc(subscriptionId).update(update);
+
+  return withoutSecret({ ...subscription, ...update });
+};
+
+/**
+ * Remove a subscription; its pending deliveries are dropped when they come due
+ * @param {string} subscriptionId - Subscription ID
+ * @throws {NotFoundError} If the subscription does not exist
+ */
+const deleteSubscription = async (subscriptionId) => {
+  await loadSubscription(subscriptionId);
+  await subscriptionsCollection.doc(subscriptionId).delete();
+
+  logger.info(`Removed webhook subscription ${subscriptionId}`);
+};
+
+/**
+ * Queue an event for every active subscription that wants it
+ * Needs a composite index on webhookSubscriptions (active, events)
+ * @param {string} type - One of WEBHOOK_EVENTS
+ * @param {Object} data - Event data
+ * @returns {Promise<number>} Number of deliveries queued
+ */
+const publishEvent = async (type, data) => {
+  const snapshot = await subscriptionsCollection
+    .where("active", "==", true)
+    .where("events", "array-contains", type)
+    .get();
+  if (snapshot.empty) return 0;
+
+  const now = new Date().toISOString();
+  // Every subscriber sees the same event ID, so it can be used for deduplication
+  const payload = { id: crypto.randomUUID(), type, createdAt: now, data };
+
+  const batch = db.batch();
+  for (const doc of snapshot.docs) {
+    batch.set(deliveriesCollection.doc(), {
+      subscriptionId: doc.id,
+      eventId: payload.id,
+      type,
+      payload,
+      status: DELIVERY_STATUS.PENDING,
+      attempts: 0,
+      maxAttempts: config.outboundWebhooks.maxAttempts,
+      nextAttemptAt: now,
+      lastError: null,
+      responseStatus: null,
+      history: [],
+      deliveredAt: null,
+      createdAt: now,
+      updatedAt: now,
+    });
+  }
+  await batch.commit();
+
+  return snapshot.size;
+};
+
+/**
+ * POST one delivery to its subscriber and record the outcome
+ * @param {Object} delivery - Claimed delivery
+ */
+const deliver = async (delivery) => {
+  const docRef = deliveriesCollection.doc(delivery.id);
+  const attempts = delivery.attempts + 1;
+  const startedAt = new Date();
+
+  const subscriptionDoc = await subscriptionsCollection
+    .doc(delivery.subscriptionId)
+    .get();
+  const subscription = subscriptionDoc.exists ? subscriptionDoc.data() : null;
+
+  if (!subscription?.active) {
+    await docRef.update({
+      status: DELIVERY_STATUS.DEAD,
+      lastError: subscription
+        ? "Subscription is inactive"
+        : "Subscription was removed",
+      updatedAt: startedAt.toISOString(),
+    });
+    return;
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = String(Math.floor(startedAt.getTime() / 1000));
+
+  let responseStatus = null;
+  let error = null;
+
+  try {
+    // Checked again on every attempt: old subscriptions and DNS can point inward
+    if (
+      !config.outboundWebhooks.allowPrivateUrls &&
+      isPrivateHost(new URL(subscription.url))
+    ) {
+      throw new Error("Subscriber URL points to a private host");
+    }
+
+    const response = await axios.post(subscription.url, body, {
+      headers: {
+        "Content-Type": "application/json",
+        "X-Webhook-Id": delivery.eventId,
+        "X-Webhook-Event": delivery.type,
+        "X-Webhook-Timestamp": timestamp,
+        "X-Webhook-Signature": `v1=${signPayload(subscription.secret, timestamp, body)}`,
+      },
+      timeout: config.outboundWebhooks.timeoutMs,
+      maxRedirects: 0,
+      ...(!config.outboundWebhooks.allowPrivateUrls && {
+        lookup: lookupPublicAddress,
+      }),
+      // Any answer is recorded; only 2xx counts as delivered
+      validateStatus: () => true,
+    });
+
+    responseStatus = response.status;
+    if (responseStatus < 200 || responseStatus >= 300) {
+      error = `Subscriber responded with ${responseStatus}`;
+    }
+  } catch (requestError) {
+    error = requestError.message;
+  }
+
+  const now = new Date();
+  const history = [
+    ...(delivery.history || []),
+    {
+      attempt: attempts,
+      at: startedAt.toISOString(),
+      durationMs: now.getTime() - startedAt.getTime(),
+      responseStatus,
+      error,
+    },
+  ];
+
+  if (!error) {
+    await docRef.update({
+      status: DELIVERY_STATUS.DELIVERED,
+      attempts,
+      responseStatus,
+      lastError: null,
+      history,
+      deliveredAt: now.toISOString(),
+      updatedAt: now.toISOString(),
+    });
+    return;
+  }
+
+  if (attempts >= delivery.maxAttempts) {
+    await docRef.update({
+      status: DELIVERY_STATUS.DEAD,
+      attempts,
+      responseStatus,
+      lastError: error,
+      history,
+      updatedAt: now.toISOString(),
+    });
+    logger.error(
+      `Webhook delivery ${delivery.id} to ${subscription.url} gave up after ${attempts} attempt(s): ${error}`
+    );
+    return;
+  }
+
+  const nextAttemptAt = new Date(now.getTime() + getBackoffDelay(attempts));
+  await docRef.update({
+    status: DELIVERY_STATUS.PENDING,
+    attempts,
+    responseStatus,
+    lastError: error,
+    history,
+    nextAttemptAt: nextAttemptAt.toISOString(),
+    updatedAt: now.toISOString(),
+  });
+  logger.warn(
+    `Webhook delivery ${delivery.id} failed (attempt ${attempts}), retrying at ${nextAttemptAt.toISOString()}: ${error}`
+  );
+};
+
+/**
+ * Claim a due delivery so only one worker sends it
+ * @param {Object} docRef - Delivery document reference
+ * @param {string} now - Current time as ISO string
+ * @param {string} leaseUntil - When the claim lapses if the worker dies
+ * @returns {Promise<Object|null>} Delivery, or null if already claimed
+ */
+const claimDelivery = (docRef, now, leaseUntil) =>
+  db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(docRef);
+    if (!doc.exists) return null;
+    const data = doc.data();
+
+    if (
+      ![DELIVERY_STATUS.PENDING, DELIVERY_STATUS.PROCESSING].includes(
+        data.status
+      ) ||
+      data.nextAttemptAt > now
+    ) {
+      return null;
+    }
+
+    const lease = {
+      status: DELIVERY_STATUS.PROCESSING,
+      nextAttemptAt: leaseUntil,
+    };
+    transaction.update(docRef, lease);
+    return { id: doc.id, ...data, ...lease };
+  });
+
+/**
+ * Claim and send every delivery that is due
+ * Needs a composite index on webhookDeliveries (status, nextAttemptAt)
+ * @returns {Promise<number>} Number of deliveries attempted
+ */
+const processDueDeliveries = async () => {
+  const now = Date.now();
+  const nowIso = new Date(now).toISOString();
+  const leaseUntil = new Date(
+    now + config.outboundWebhooks.leaseMs
+  ).toISOString();
+
+  // Processing deliveries whose lease has expired are picked up again
+  const snapshot = await deliveriesCollection
+    .where("status", "in", [
+      DELIVERY_STATUS.PENDING,
+      DELIVERY_STATUS.PROCESSING,
+    ])
+    .where("nextAttemptAt", "<=", nowIso)
+    .orderBy("nextAttemptAt")
+    .limit(config.outboundWebhooks.batchSize)
+    .get();
+
+  let attempted = 0;
+
+  for (const doc of snapshot.docs) {
+    const delivery = await claimDelivery(doc.ref, nowIso, leaseUntil);
+    if (!delivery) continue;
+
+    try {
+      await deliver(delivery);
+    } catch (error) {
+      // The lease expires and the delivery is picked up again
+      logger.error(`Error sending webhook delivery ${delivery.id}:`, error);
+    }
+    attempted++;
+  }
+
+  return attempted;
+};
+
+/**
+ * List deliveries, newest first
+ * @param {Object} filters - Optional subscriptionId, status and limit
+ * @returns {Promise<Array<Object>>} Deliveries
+ */
+const listDeliveries = async ({ subscriptionId, status, limit = 50 } = {}) => {
+  let query = deliveriesCollection;
+  if (subscriptionId) {
+    query = query.where("subscriptionId", "==", subscriptionId);
+  }
+  if (status) {
+    query = query.where("status", "==", status);
+  }
+
+  const snapshot = await query.orderBy("createdAt", "desc").limit(limit).get();
+  return snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+};
+
+/**
+ * Get a single delivery
+ * @param {string} deliveryId - Delivery ID
+ * @returns {Promise<Object>} Delivery
+ * @throws {NotFoundError} If the delivery does not exist
+ */
+const getDelivery = async (deliveryId) => {
+  const doc = await deliveriesCollection.doc(deliveryId).get();
+  if (!doc.exists) {
+    throw new NotFoundError(`Webhook delivery ${deliveryId} not found`);
+  }
+  return { id: doc.id, ...doc.data() };
+};
+
+/**
+ * Send a delivered or dead delivery again with a fresh set of attempts
+ * The payload, including its event ID, is unchanged.
+ * @param {string} deliveryId - Delivery ID
+ * @returns {Promise<Object>} Updated delivery
+ * @throws {ConflictError} If the delivery is still queued
+ */
+const replayDelivery = async (deliveryId) => {
+  const delivery = await getDelivery(deliveryId);
+
+  if (
+    ![DELIVERY_STATUS.DELIVERED, DELIVERY_STATUS.DEAD].includes(delivery.status)
+  ) {
+    throw new ConflictError(
+      `Cannot replay a delivery that is ${delivery.status}`
+    );
+  }
+
+  const now = new Date().toISOString();
+  const fields = {
+    status: DELIVERY_STATUS.PENDING,
+    attempts: 0,
+    nextAttemptAt: now,
+    updatedAt: now,
+  };
+  await deliveriesCollection.doc(deliveryId).update(fields);
+
+  logger.info(`Replaying webhook delivery ${deliveryId}`);
+
+  return { ...delivery, ...fields };
+};
+
+/**
+ * Publish an event, logging rather than throwing since emitters can't handle it
+ * @param {string} type - One of WEBHOOK_EVENTS
+ * @param {Function} getData - Async function building the event data
+ */
+const publishSafely = async (type, getData) => {
+  try {
+    await publishEvent(type, await getData());
+  } catch (error) {
+    logger.error(`Error publishing ${type} webhook event:`, error);
+  }
+};
+
+/**
+ * Turn a message status change into its webhook event, if it has one
+ * @param {Object} change - messageId and status from the message.status domain event
+ */
+const onMessageStatus = ({ messageId, status }) => {
+  const type = STATUS_EVENTS[status];
+  if (!type) return;
+
+  publishSafely(type, async () => {
+    const doc = await db.collection("messages").doc(messageId).get();
+    const message = doc.exists ? doc.data() : {};
+
+    return {
+      messageId,
+      status,
+      candidateId: message.candidateId || null,
+      candidateEmail: message.candidateEmail || null,
+      subject: message.subject || null,
+    };
+  });
+};
+
+/**
+ * Turn an imported candidate into its webhook event
+ * @param {Object} candidate - Data from the candidate.imported domain event
+ */
+const onCandidateImported = (candidate) => {
+  publishSafely(WEBHOOK_EVENTS.CANDIDATE_IMPORTED, async () => candidate);
+};
+
+// Background worker that sends queued deliveries
+const worker = createPoller({
+  name: "Webhook delivery worker",
+  intervalMs: config.outboundWebhooks.pollIntervalMs,
+  task: processDueDeliveries,
+});
+
+/**
+ * Start publishing domain events to subscribers and sending the deliveries
+ */
+const startOutboundWebhooks = () => {
+  if (domainEvents.listeners("message.status").includes(onMessageStatus)) {
+    return;
+  }
+
+  domainEvents.on("message.status", onMessageStatus);
+  domainEvents.on("candidate.imported", onCandidateImported);
+  worker.start();
+};
+
+/**
+ * Stop publishing domain events and sending deliveries
+ */
+const stopOutboundWebhooks = () => {
+  domainEvents.off("message.status", onMessageStatus);
+  domainEvents.off("candidate.imported", onCandidateImported);
+  worker.stop();
+};
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  DELIVERY_STATUS,
+  createSubscription,
+  listSubscriptions,
+  getSubscription,
+  updateSubscription,
+  deleteSubscription,
+  publishEvent,
+  processDueDeliveries,
+  listDeliveries,
+  getDelivery,
+  replayDelivery,
+  startOutboundWebhooks,
+  stopOutboundWebhooks,
+};
@@ -0,0 +1,79 @@
+// services/outbox/firestoreStore.js
+
+const { db } = require("../firebaseService");
+
+/**
+ * Create an outbox store backed by the Firestore "outbox" collection
+ * Claiming due jobs needs a composite index on (status, nextAttemptAt)
+ * @returns {Object} Outbox store
+ */
+const createFirestoreStore = () => {
+  const collection = db.collection("outbox");
+
+  const create = async (job) => {
+    const docRef = collection.doc();
+    await docRef.set(job);
+    return { id: docRef.id, ...job };
+  };
+
+  const get = async (id) => {
+    const doc = await collection.doc(id).get();
+    return doc.exists ? { id: doc.id, ...doc.data() } : null;
+  };
+
+  const update = async (id, fields) => {
+    await collection.doc(id).update(fields);
+  };
+
+  const list = async ({ status, limit = 50 } = {}) => {
+    let query = collection;
+    if (status) {
+      query = query.where("status", "==", status);
+    }
+
+    const snapshot = await query
+      .orderBy("createdAt", "desc")
+      .limit(limit)
+      .get();
+    return snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+  };
+
+  const claimDue = async ({ now, limit, leaseUntil }) => {
+    // Processing jobs whose lease has expired are picked up again
+    const snapshot = await collection
+      .where("status", "in", ["pending", "processing"])
+      .where("nextAttemptAt", "<=", now)
+      .orderBy("nextAttemptAt")
+      .limit(limit)
+      .get();
+
+    const claimed = [];
+
+    for (const candidate of snapshot.docs) {
+      // Claim inside a transaction so two workers never take the same job
+      const job = await db.runTransaction(async (transaction) => {
+        const doc = await transaction.get(candidate.ref);
+        const data = doc.data();
+
+        if (
+          !["pending", "processing"].includes(data.status) ||
+          data.nextAttemptAt > now
+        ) {
+          return null;
+        }
+
+        const lease = { status: "processing", nextAttemptAt: leaseUntil };
+        transaction.update(candidate.ref, lease);
+        return { id: doc.id, ...data, ...lease };
+      });
+
+      if (job) claimed.push(job);
+    }
+
+    return claimed;
+  };
+
+  return { create, get, update, list, claimDue };
+};
+
+module.exports = { createFirestoreStore };
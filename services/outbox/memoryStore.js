@@ -0,0 +1,57 @@
+// services/outbox/memoryStore.js
+
+const crypto = require("crypto");
+
+/**
+ * Create an in-process outbox store
+ * Jobs are lost on restart, so this is only meant for local development
+ * @returns {Object} Outbox store
+ */
+const createMemoryStore = () => {
+  const jobs = new Map();
+
+  const create = async (job) => {
+    const id = crypto.randomUUID();
+    jobs.set(id, { ...job });
+    return { id, ...job };
+  };
+
+  const get = async (id) => {
+    const job = jobs.get(id);
+    return job ? { id, ...job } : null;
+  };
+
+  const update = async (id, fields) => {
+    if (!jobs.has(id)) {
+      throw new Error(`Outbox job ${id} not found`);
+    }
+    jobs.set(id, { ...jobs.get(id), ...fields });
+  };
+
+  const list = async ({ status, limit = 50 } = {}) =>
+    [...jobs.entries()]
+      .filter(([, job]) => !status || job.status === status)
+      .sort(([, a], [, b]) => b.createdAt.localeCompare(a.createdAt))
+      .slice(0, limit)
+      .map(([id, job]) => ({ id, ...job }));
+
+  const claimDue = async ({ now, limit, leaseUntil }) => {
+    const claimed = [];
+
+    for (const [id, job] of jobs) {
+      if (claimed.length >= limit) break;
+      if (!["pending", "processing"].includes(job.status)) continue;
+      if (job.nextAttemptAt > now) continue;
+
+      const lease = { status: "processing", nextAttemptAt: leaseUntil };
+      jobs.set(id, { ...job, ...lease });
+      claimed.push({ id, ...job, ...lease });
+    }
+
+    return claimed;
+  };
+
+  return { create, get, update, list, claimDue };
+};
+
+module.exports = { createMemoryStore };
@@ -0,0 +1,415 @@
+// services/outboxService.js
+
+const config = require("../config/email");
+const logger = require("../utils/logger");
+const { createPoller } = require("../utils/poller");
+const { sendWithFailover } = require("./providers");
+const { updatePipelineStatus } = require("./messageEventService");
+const {
+  recordDelivery,
+  recordDeliveryFailure,
+} = require("./idempotencyService");
+const { loadAttachmentContent } = require("./attachmentService");
+const { EMAIL_CATEGORIES } = require("./unsubscribeService");
+const {
+  ProviderError,
+  NotFoundError,
+  ConflictError,
+} = require("../middleware/errorHandler");
+
+// Job states; "dead" jobs exhausted their attempts or failed permanently
+const JOB_STATUS = {
+  PENDING: "pending",
+  PROCESSING: "processing",
+  SENT: "sent",
+  DEAD: "dead",
+  CANCELLED: "cancelled",
+};
+
+// Tries at marking a job sent before giving up and logging it
+const SENT_UPDATE_ATTEMPTS = 3;
+
+let store;
+
+// Earliest time this worker may hand the next marketing email to a provider
+let nextBulkSendAt = 0;
+
+/**
+ * Get the configured outbox store, creating it on first use
+ * @returns {Object} Outbox store
+ */
+const getStore = () => {
+  if (!store) {
+    if (config.outbox.store === "memory") {
+      const { createMemoryStore } = require("./outbox/memoryStore");
+      store = createMemoryStore();
+    } else {
+      const { createFirestoreStore } = require("./outbox/firestoreStore");
+      store = createFirestoreStore();
+    }
+  }
+  return store;
+};
+
+/**
+ * Calculate the delay before the next attempt
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} Delay in milliseconds, with jitter
+ */
+const getBackoffDelay = (attempts) => {
+  const { backoffBaseMs, backoffMaxMs } = config.outbox;
+  const delay = Math.min(backoffBaseMs * 2 ** (attempts - 1), backoffMaxMs);
+  // Up to 20% jitter so retries after an outage don't arrive in lockstep
+  return Math.round(delay * (1 + Math.random() * 0.2));
+};
+
+/**
+ * Update the linked ATS message, never failing the job because of it
+ * Provider events that got there first keep their status.
+ * @param {Object} job - Outbox job
+ * @param {string} status - New message status
+ * @param {Object} fields - Extra fields to store
+ */
+const syncMessageStatus = async (job, status, fields = {}) => {
+  if (!job.messageId) return;
+
+  try {
+    await updatePipelineStatus(job.messageId, status, fields);
+  } catch (error) {
+    logger.error(
+      `Error syncing message ${job.messageId} for job ${job.id}:`,
+      error
+    );
+  }
+};
+
+/**
+ * Queue a rendered message for delivery
+ * @param {Object} options - Job options
+ * @param {Object} options.message - Normalized outbound message
+ * @param {Array<string>} options.providers - Provider chain to deliver through
+ * @param {string} options.messageId - Linked ATS message ID (optional)
+ * @param {Object} options.template - Name, version and locale of the rendered template (optional)
+ * @param {Date} options.notBefore - Earliest delivery time (optional)
+ * @param {string} options.category - transactional or marketing; marketing jobs are rate limited (optional)
+ * @param {Object} options.messageFields - Extra fields to store on the linked ATS message (optional)
+ * @returns {Promise<Object>} Created job
+ */
+const enqueueEmail = async ({
+  message,
+  providers,
+  messageId = null,
+  template = null,
+  notBefore = null,
+  category = EMAIL_CATEGORIES.TRANSACTIONAL,
+  messageFields = {},
+}) => {
+  const now = new Date().toISOString();
+
+  const job = await getStore().create({
+    status: JOB_STATUS.PENDING,
+    message,
+    providers,
+    messageId,
+    template,
+    category,
+    attempts: 0,
+    maxAttempts: config.outbox.maxAttempts,
+    nextAttemptAt: notBefore ? notBefore.toISOString() : now,
+    lastError: null,
+    provider: null,
+    providerMessageId: null,
+    createdAt: now,
+    updatedAt: now,
+  });
+
+  await syncMessageStatus(job, "queued", {
+    ...messageFields,
+    outboxJobId: job.id,
+    queuedAt: now,
+    ...(template && {
+      templateName: template.name,
+      templateVersion: template.version,
+      templateLocale: template.locale,
+    }),
+  });
+
+  logger.info(`Queued email to ${message.to.join(", ")} as job ${job.id}`);
+  return job;
+};
+
+/**
+ * Record that a provider accepted a job's message
+ * The job update is retried, since a job left processing would be claimed
+ * and sent again once its lease ran out.
+ * @param {Object} job - Claimed outbox job
+ * @param {number} attempts - Attempts including this one
+ * @param {Object} result - Provider name and provider message ID
+ */
+const recordJobSent = async (job, attempts, { id, provider }) => {
+  const now = new Date().toISOString();
+  const fields = {
+    status: JOB_STATUS.SENT,
+    attempts,
+    provider,
+    providerMessageId: id,
+    lastError: null,
+    sentAt: now,
+    updatedAt: now,
+  };
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      await getStore().update(job.id, fields);
+      break;
+    } catch (error) {
+      if (attempt >= SENT_UPDATE_ATTEMPTS) {
+        logger.error(
+          `Outbox job ${job.id} was sent via ${provider} (ID: ${id}) but could not be marked sent:`,
+          error
+        );
+        break;
+      }
+      await new Promise((resolve) => setTimeout(resolve, attempt * 1000));
+    }
+  }
+
+  await syncMessageStatus(job, "sent", { provider, providerMessageId: id });
+
+  if (job.messageId) {
+    await recordDelivery(job.messageId, {
+      provider,
+      providerMessageId: id,
+    }).catch((error) =>
+      logger.error(`Error recording delivery for job ${job.id}:`, error)
+    );
+  }
+
+  logger.info(`Outbox job ${job.id} delivered via ${provider}, ID: ${id}`);
+};
+
+/**
+ * Record a failed attempt, scheduling a retry or dead-lettering the job
+ * @param {Object} job - Claimed outbox job
+ * @param {number} attempts - Attempts including this one
+ * @param {Error} error - Why the attempt failed
+ */
+const recordJobFailure = async (job, attempts, error) => {
+  const retryable = !(error instanceof ProviderError) || error.retryable;
+  const exhausted = attempts >= job.maxAttempts;
+  const now = new Date();
+
+  if (!retryable || exhausted) {
+    await getStore().update(job.id, {
+      status: JOB_STATUS.DEAD,
+      attempts,
+      lastError: error.message,
+      updatedAt: now.toISOString(),
+    });
+    await syncMessageStatus(job, "failed");
+
+    // Lets the client send the message again under the same key
+    if (job.messageId) {
+      await recordDeliveryFailure(job.messageId, error.message).catch(
+        (keyError) =>
+          logger.error(
+            `Error reopening idempotency key for job ${job.id}:`,
+            keyError
+          )
+      );
+    }
+
+    logger.error(
+      `Outbox job ${job.id} dead-lettered after ${attempts} attempt(s): ${error.message}`
+    );
+    return;
+  }
+
+  const nextAttemptAt = new Date(now.getTime() + getBackoffDelay(attempts));
+  await getStore().update(job.id, {
+    status: JOB_STATUS.PENDING,
+    attempts,
+    lastError: error.message,
+    nextAttemptAt: nextAttemptAt.toISOString(),
+    updatedAt: now.toISOString(),
+  });
+  await syncMessageStatus(job, "queued");
+
+  logger.warn(
+    `Outbox job ${job.id} failed (attempt ${attempts}), retrying at ${nextAttemptAt.toISOString()}: ${error.message}`
+  );
+};
+
+/**
+ * Attempt delivery of a claimed job and record the outcome
+ * Once a provider has accepted the message the job is never rescheduled,
+ * even if recording the result fails.
+ * @param {Object} job - Claimed outbox job
+ */
+const deliverJob = async (job) => {
+  const attempts = job.attempts + 1;
+  await syncMessageStatus(job, "sending");
+
+  let result;
+  try {
+    const message = await loadAttachmentContent(job.message);
+    result = await sendWithFailover(message, job.providers);
+  } catch (error) {
+    await recordJobFailure(job, attempts, error);
+    return;
+  }
+
+  await recordJobSent(job, attempts, result);
+};
+
+/**
+ * Reserve the next marketing send slot under config.bulk.sendsPerSecond
+ * The rate covers every campaign, since they all drain through this worker.
+ * @returns {number} Milliseconds to wait before sending
+ */
+const reserveBulkSlot = () => {
+  const now = Date.now();
+  const slot = Math.max(now, nextBulkSendAt);
+  nextBulkSendAt = slot + 1000 / config.bulk.sendsPerSecond;
+  return slot - now;
+};
+
+/**
+ * Put a claimed job back in the queue without counting an attempt
+ * @param {Object} job - Claimed outbox job
+ */
+const releaseJob = async (job) => {
+  const now = new Date().toISOString();
+  await getStore().update(job.id, {
+    status: JOB_STATUS.PENDING,
+    nextAttemptAt: now,
+    updatedAt: now,
+  });
+};
+
+/**
+ * Claim and deliver every job that is due
+ * Marketing jobs are spaced to the bulk send rate. One whose turn would come
+ * after its lease ends is released rather than risk another worker taking it.
+ * @returns {Promise<number>} Number of jobs delivered
+ */
+const processDueJobs = async () => {
+  const now = Date.now();
+  const leaseUntil = now + config.outbox.leaseMs;
+  const jobs = await getStore().claimDue({
+    now: new Date(now).toISOString(),
+    limit: config.outbox.batchSize,
+    leaseUntil: new Date(leaseUntil).toISOString(),
+  });
+
+  let delivered = 0;
+
+  for (const job of jobs) {
+    if (job.category === EMAIL_CATEGORIES.MARKETING) {
+      // Leave time to finish the send itself before the lease runs out
+      if (Math.max(Date.now(), nextBulkSendAt) > leaseUntil - 60 * 1000) {
+        await releaseJob(job);
+        continue;
+      }
+
+      const wait = reserveBulkSlot();
+      if (wait > 0) await new Promise((resolve) => setTimeout(resolve, wait));
+    }
+
+    await deliverJob(job);
+    delivered++;
+  }
+
+  return delivered;
+};
+
+/**
+ * List outbox jobs, newest first
+ * @param {Object} filters - Optional status and limit
+ * @returns {Promise<Array<Object>>} Jobs
+ */
+const listJobs = async ({ status, limit } = {}) =>
+  getStore().list({ status, limit });
+
+/**
+ * Get a single outbox job
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object>} Job
+ */
+const getJob = async (jobId) => {
+  const job = await getStore().get(jobId);
+  if (!job) {
+    throw new NotFoundError(`Outbox job ${jobId} not found`);
+  }
+  return job;
+};
+
+/**
+ * Put a dead or cancelled job back in the queue with a fresh set of attempts
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object>} Updated job
+ */
+const retryJob = async (jobId) => {
+  const job = await getJob(jobId);
+
+  if (
+    ![JOB_STATUS.DEAD, JOB_STATUS.CANCELLED, JOB_STATUS.PENDING].includes(
+      job.status
+    )
+  ) {
+    throw new ConflictError(`Cannot retry a job that is ${job.status}`);
+  }
+
+  const now = new Date().toISOString();
+  const fields = {
+    status: JOB_STATUS.PENDING,
+    attempts: 0,
+    nextAttemptAt: now,
+    updatedAt: now,
+  };
+  await getStore().update(jobId, fields);
+  await syncMessageStatus(job, "queued");
+
+  return { ...job, ...fields };
+};
+
+/**
+ * Cancel a job that hasn't been delivered yet
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object>} Updated job
+ */
+const cancelJob = async (jobId) => {
+  const job = await getJob(jobId);
+
+  if (job.status !== JOB_STATUS.PENDING) {
+    throw new ConflictError(`Cannot cancel a job that is ${job.status}`);
+  }
+
+  const fields = {
+    status: JOB_STATUS.CANCELLED,
+    updatedAt: new Date().toISOString(),
+  };
+  await getStore().update(jobId, fields);
+  await syncMessageStatus(job, "cancelled");
+
+  return { ...job, ...fields };
+};
+
+// Background worker that drains the outbox
+const worker = createPoller({
+  name: "Outbox worker",
+  intervalMs: config.outbox.pollIntervalMs,
+  task: processDueJobs,
+});
+
+module.exports = {
+  JOB_STATUS,
+  enqueueEmail,
+  processDueJobs,
+  listJobs,
+  getJob,
+  retryJob,
+  cancelJob,
+  startOutboxWorker: worker.start,
+  stopOutboxWorker: worker.stop,
+};
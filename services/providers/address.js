@@ -0,0 +1,13 @@
+// services/providers/address.js
+
+/**
+ * Format a sender object as an RFC 5322 address
+ * @param {Object|string} address - Address object with name and email, or a plain string
+ * @returns {string} Formatted address
+ */
+const formatAddress = (address) => {
+  if (typeof address === "string") return address;
+  return address.name ? `${address.name} <${address.email}>` : address.email;
+};
+
+module.exports = { formatAddress };
@@ -0,0 +1,32 @@
+// services/providers/classify.js
+
+// Socket-level failures that are worth retrying on another provider
+const NETWORK_ERROR_CODES = [
+  "ECONNREFUSED",
+  "ECONNRESET",
+  "ETIMEDOUT",
+  "ESOCKET",
+  "ECONNECTION",
+  "EAI_AGAIN",
+  "ENOTFOUND",
+];
+
+/**
+ * Check whether an HTTP status from a provider is a transient failure
+ * @param {number} statusCode - HTTP status returned by the provider
+ * @returns {boolean} True for 5xx and rate-limit responses
+ */
+const isRetryableStatus = (statusCode) =>
+  statusCode === 429 || (statusCode >= 500 && statusCode <= 599);
+
+/**
+ * Check whether an error was caused by the network rather than the message
+ * @param {Error} error - Error thrown by a provider client
+ * @returns {boolean} True for connection and timeout errors
+ */
+const isNetworkError = (error) => NETWORK_ERROR_CODES.includes(error.code);
+
+module.exports = {
+  isRetryableStatus,
+  isNetworkError,
+};
@@ -0,0 +1,129 @@
+// services/providers/health.js
+
+const config = require("../../config/email");
+
+// In-memory health state per provider name
+const states = new Map();
+
+/**
+ * Get (or create) the health state for a provider
+ * @param {string} name - Provider name
+ * @returns {Object} Mutable health state
+ */
+const getState = (name) => {
+  if (!states.has(name)) {
+    states.set(name, {
+      consecutiveFailures: 0,
+      openedAt: null,
+      lastError: null,
+      lastSuccessAt: null,
+      lastFailureAt: null,
+      trialInFlight: false,
+    });
+  }
+  return states.get(name);
+};
+
+/**
+ * Check whether a provider may be used
+ * An open circuit lets a single trial request through once the cooldown has passed
+ * @param {string} name - Provider name
+ * @returns {boolean} True if the circuit is closed or half-open
+ */
+const isAvailable = (name) => {
+  const state = getState(name);
+  if (!state.openedAt) return true;
+  const { cooldownMs } = config.transport.circuitBreaker;
+  return Date.now() - state.openedAt >= cooldownMs;
+};
+
+/**
+ * Claim a provider for one send
+ * A half-open circuit admits a single trial; concurrent sends skip the
+ * provider until that trial succeeds or fails.
+ * @param {string} name - Provider name
+ * @returns {boolean} True if the caller may send through the provider
+ */
+const acquire = (name) => {
+  if (!isAvailable(name)) return false;
+
+  const state = getState(name);
+  if (!state.openedAt) return true;
+  if (state.trialInFlight) return false;
+
+  state.trialInFlight = true;
+  return true;
+};
+
+/**
+ * Give up a claimed trial without judging the provider's health
+ * @param {string} name - Provider name
+ */
+const release = (name) => {
+  getState(name).trialInFlight = false;
+};
+
+/**
+ * Record a successful delivery and close the circuit
+ * @param {string} name - Provider name
+ */
+const recordSuccess = (name) => {
+  const state = getState(name);
+  state.consecutiveFailures = 0;
+  state.openedAt = null;
+  state.trialInFlight = false;
+  state.lastSuccessAt = new Date().toISOString();
+};
+
+/**
+ * Record a transient failure, opening the circuit past the threshold
+ * @param {string} name - Provider name
+ * @param {Error} error - The failure
+ */
+const recordFailure = (name, error) => {
+  const state = getState(name);
+  state.consecutiveFailures += 1;
+  state.lastError = error.message;
+  state.lastFailureAt = new Date().toISOString();
+  state.trialInFlight = false;
+
+  if (
+    state.consecutiveFailures >=
+    config.transport.circuitBreaker.failureThreshold
+  ) {
+    // Re-opening restarts the cooldown after a failed half-open trial
+    state.openedAt = Date.now();
+  }
+};
+
+/**
+ * Get a health snapshot of every provider seen so far
+ * @returns {Object} Health state keyed by provider name
+ */
+const getHealthSnapshot = () => {
+  const snapshot = {};
+  for (const [name, state] of states) {
+    let circuit = "closed";
+    if (state.openedAt) {
+      circuit = isAvailable(name) ? "half-open" : "open";
+    }
+
+    snapshot[name] = {
+      circuit,
+      consecutiveFailures: state.consecutiveFailures,
+      lastError: state.lastError,
+      lastSuccessAt: state.lastSuccessAt,
+      lastFailureAt: state.lastFailureAt,
+    };
+  }
+  return snapshot;
+};
+
+module.exports = {
+  isAvailable,
+  acquire,
+  release,
+  recordSuccess,
+  recordFailure,
+  getHealthSnapshot,
+};
@@ -0,0 +1,131 @@
+// services/providers/index.js
+
+const config = require("../../config/email");
+const logger = require("../../utils/logger");
+const { ProviderError } = require("../../middleware/errorHandler");
+const health = require("./health");
+const { createResendProvider } = require("./resendProvider");
+const { createSendGridProvider } = require("./sendgridProvider");
+const { createSmtpProvider } = require("./smtpProvider");
+
+// Available transport drivers keyed by provider name
+const drivers = {
+  resend: createResendProvider,
+  sendgrid: createSendGridProvider,
+  smtp: createSmtpProvider,
+};
+
+// Drivers are created lazily so unused providers need no credentials
+const instances = new Map();
+
+/**
+ * Get the transport driver for a provider
+ * @param {string} name - Provider name (resend, sendgrid or smtp)
+ * @returns {Object} Transport driver exposing send(message)
+ */
+const getProvider = (name) => {
+  if (!drivers[name]) {
+    throw new Error(`Unknown email provider: ${name}`);
+  }
+
+  if (!instances.has(name)) {
+    instances.set(name, drivers[name](config.transport[name] || {}));
+    logger.info(`Initialized ${name} email provider`);
+  }
+
+  return instances.get(name);
+};
+
+/**
+ * Resolve the ordered provider chain for a tenant
+ * @param {string} tenantId - Tenant (organization) ID, optional
+ * @returns {Array<string>} Provider names, primary first
+ */
+const resolveProviderChain = (tenantId) => {
+  const override = tenantId && config.transport.tenantProviders[tenantId];
+  if (override) {
+    return Array.isArray(override) ? override : [override];
+  }
+
+  return [
+    config.transport.defaultProvider,
+    ...config.transport.failoverProviders,
+  ].filter((name, index, chain) => chain.indexOf(name) === index);
+};
+
+/**
+ * Send through one provider, failing with a retryable error on timeout
+ * The send itself isn't cancelled, so a timed-out message may still go out.
+ * @param {Object} provider - Transport driver
+ * @param {Object} message - Normalized outbound message
+ * @returns {Promise<Object>} Provider result
+ */
+const sendWithTimeout = (provider, message) => {
+  const timeoutMs = config.transport.sendTimeoutMs;
+  let timer;
+
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(
+      () =>
+        reject(
+          new ProviderError(`${provider.name} timed out after ${timeoutMs}ms`, {
+            provider: provider.name,
+            retryable: true,
+          })
+        ),
+      timeoutMs
+    );
+  });
+
+  return Promise.race([provider.send(message), timeout]).finally(() =>
+    clearTimeout(timer)
+  );
+};
+
+/**
+ * Deliver a message, failing over along the provider chain on transient errors
+ * Permanent rejections (bad recipient, invalid payload) are not retried elsewhere
+ * @param {Object} message - Normalized outbound message
+ * @param {Array<string>} chain - Provider names in priority order
+ * @returns {Promise<Object>} Provider message ID and the provider that delivered
+ */
+const sendWithFailover = async (message, chain) => {
+  // Skip providers with an open circuit, unless every one of them is open
+  const allOpen = chain.every((name) => !health.isAvailable(name));
+  const failures = [];
+
+  for (const name of chain) {
+    if (!allOpen && !health.acquire(name)) continue;
+    const provider = getProvider(name);
+
+    try {
+      const { id } = await sendWithTimeout(provider, message);
+      health.recordSuccess(name);
+      return { id, provider: name, failures };
+    } catch (error) {
+      const retryable = error instanceof ProviderError && error.retryable;
+      failures.push({ provider: name, error: error.message });
+
+      if (!retryable) {
+        health.release(name);
+        throw error;
+      }
+
+      health.recordFailure(name, error);
+      logger.warn(`Provider ${name} failed, trying next: ${error.message}`);
+    }
+  }
+
+  throw new ProviderError(
+    "All email providers failed",
+    { retryable: true },
+    failures
+  );
+};
+
+module.exports = {
+  getProvider,
+  resolveProviderChain,
+  sendWithFailover,
+  getHealthSnapshot: health.getHealthSnapshot,
+};
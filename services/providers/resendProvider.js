@@ -0,0 +1,61 @@
+// services/providers/resendProvider.js
+
+const { Resend } = require("resend");
+const { formatAddress } = require("./address");
+const { ProviderError } = require("../../middleware/errorHandler");
+
+// Resend error names that indicate a transient problem on their side
+const RETRYABLE_ERRORS = [
+  "application_error",
+  "internal_server_error",
+  "rate_limit_exceeded",
+];
+
+/**
+ * Create a Resend transport driver
+ * @param {Object} options - Resend settings
+ * @param {string} options.apiKey - Resend API key
+ * @returns {Object} Transport driver
+ */
+const createResendProvider = ({ apiKey }) => {
+  const client = new Resend(apiKey);
+
+  /**
+   * Send a normalized message through Resend
+   * @param {Object} message - Normalized outbound message
+   * @returns {Promise<Object>} Provider result with message ID
+   */
+  const send = async (message) => {
+    const { data, error } = await client.emails.send({
+      from: formatAddress(message.from),
+      to: message.to,
+      ...(message.cc?.length && { cc: message.cc.map(formatAddress) }),
+      ...(message.bcc?.length && { bcc: message.bcc.map(formatAddress) }),
+      ...(message.replyTo && { replyTo: formatAddress(message.replyTo) }),
+      subject: message.subject,
+      html: message.html,
+      ...(message.text && { text: message.text }),
+      ...(message.headers && { headers: message.headers }),
+      attachments: message.attachments.map((attachment) => ({
+        filename: attachment.filename,
+        content: attachment.content,
+        ...(attachment.contentType && {
+          contentType: attachment.contentType,
+        }),
+      })),
+    });
+
+    if (error) {
+      throw new ProviderError(`Resend API error: ${error.message}`, {
+        provider: "resend",
+        retryable: RETRYABLE_ERRORS.includes(error.name),
+      });
+    }
+
+    return { id: data.id };
+  };
+
+  return { name: "resend", send };
+};
+
+module.exports = { createResendProvider };
@@ -0,0 +1,65 @@
+// services/providers/sendgridProvider.js
+
+const sgMail = require("@sendgrid/mail");
+const { ProviderError } = require("../../middleware/errorHandler");
+const { isRetryableStatus, isNetworkError } = require("./classify");
+
+/**
+ * Create a SendGrid transport driver
+ * @param {Object} options - SendGrid settings
+ * @param {string} options.apiKey - SendGrid API key
+ * @returns {Object} Transport driver
+ */
+const createSendGridProvider = ({ apiKey }) => {
+  // Use a dedicated client so the API key doesn't leak into other users
+  const client = new sgMail.MailService();
+  client.setApiKey(apiKey);
+
+  /**
+   * Send a normalized message through SendGrid
+   * @param {Object} message - Normalized outbound message
+   * @returns {Promise<Object>} Provider result with message ID
+   */
+  const send = async (message) => {
+    try {
+      const [response] = await client.send({
+        from: { email: message.from.email, name: message.from.name },
+        to: message.to,
+        ...(message.cc?.length && { cc: message.cc }),
+        ...(message.bcc?.length && { bcc: message.bcc }),
+        ...(message.replyTo && { replyTo: message.replyTo }),
+        subject: message.subject,
+        html: message.html,
+        ...(message.text && { text: message.text }),
+        ...(message.headers && { headers: message.headers }),
+        // Returned on every event webhook as custom_args
+        ...(message.metadata?.messageId && {
+          customArgs: { ats_message_id: message.metadata.messageId },
+        }),
+        attachments: message.attachments.map((attachment) => ({
+          filename: attachment.filename,
+          content: Buffer.isBuffer(attachment.content)
+            ? attachment.content.toString("base64")
+            : attachment.content,
+          ...(attachment.contentType && { type: attachment.contentType }),
+          disposition: "attachment",
+        })),
+      });
+
+      return { id: response.headers["x-message-id"] };
+    } catch (error) {
+      const detail = error.response?.body?.errors?.[0]?.message;
+      throw new ProviderError(
+        `SendGrid API error: ${detail || error.message}`,
+        {
+          provider: "sendgrid",
+          retryable: isRetryableStatus(error.code) || isNetworkError(error),
+        }
+      );
+    }
+  };
+
+  return { name: "sendgrid", send };
+};
+
+module.exports = { createSendGridProvider };
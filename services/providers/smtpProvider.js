@@ -0,0 +1,68 @@
+// services/providers/smtpProvider.js
+
+const nodemailer = require("nodemailer");
+const { formatAddress } = require("./address");
+const { ProviderError } = require("../../middleware/errorHandler");
+const { isNetworkError } = require("./classify");
+
+/**
+ * Create an SMTP transport driver backed by nodemailer
+ * @param {Object} options - SMTP settings
+ * @param {string} options.host - SMTP host
+ * @param {number} options.port - SMTP port
+ * @param {boolean} options.secure - Whether to connect over TLS
+ * @param {string} options.user - SMTP username (optional)
+ * @param {string} options.password - SMTP password (optional)
+ * @returns {Object} Transport driver
+ */
+const createSmtpProvider = ({ host, port, secure, user, password }) => {
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    // Local mail catchers usually run without authentication
+    ...(user && { auth: { user, pass: password } }),
+  });
+
+  /**
+   * Send a normalized message over SMTP
+   * @param {Object} message - Normalized outbound message
+   * @returns {Promise<Object>} Provider result with message ID
+   */
+  const send = async (message) => {
+    try {
+      const info = await transporter.sendMail({
+        from: formatAddress(message.from),
+        to: message.to,
+        ...(message.cc?.length && { cc: message.cc.map(formatAddress) }),
+        ...(message.bcc?.length && { bcc: message.bcc.map(formatAddress) }),
+        ...(message.replyTo && { replyTo: formatAddress(message.replyTo) }),
+        subject: message.subject,
+        html: message.html,
+        ...(message.text && { text: message.text }),
+        ...(message.headers && { headers: message.headers }),
+        attachments: message.attachments.map((attachment) => ({
+          filename: attachment.filename,
+          content: attachment.content,
+          ...(attachment.contentType && {
+            contentType: attachment.contentType,
+          }),
+        })),
+      });
+
+      return { id: info.messageId };
+    } catch (error) {
+      // 4xx SMTP replies are temporary, 5xx are permanent rejections
+      const temporaryReply =
+        error.responseCode >= 400 && error.responseCode < 500;
+      throw new ProviderError(`SMTP error: ${error.message}`, {
+        provider: "smtp",
+        retryable: temporaryReply || isNetworkError(error),
+      });
+    }
+  };
+
+  return { name: "smtp", send };
+};
+
+module.exports = { createSmtpProvider };
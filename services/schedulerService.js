@@ -0,0 +1,228 @@
+// services/schedulerService.js
+
+const config = require("../config/email");
+const logger = require("../utils/logger");
+const { createPoller } = require("../utils/poller");
+const { db, updateMessageStatus } = require("./firebaseService");
+const { sendCandidateEmail } = require("./emailService");
+const { NotFoundError, ConflictError } = require("../middleware/errorHandler");
+
+/**
+ * Drop undefined values, which Firestore refuses to store
+ * Optional fields left out of a request arrive as undefined.
+ * @param {*} value - Value to clean
+ * @returns {*} Value without undefined object properties
+ */
+const withoutUndefined = (value) => {
+  if (Array.isArray(value)) return value.map(withoutUndefined);
+  if (
+    !value ||
+    typeof value !== "object" ||
+    Object.getPrototypeOf(value) !== Object.prototype
+  ) {
+    return value;
+  }
+
+  return Object.fromEntries(
+    Object.entries(value)
+      .filter(([, entry]) => entry !== undefined)
+      .map(([key, entry]) => [key, withoutUndefined(entry)])
+  );
+};
+
+/**
+ * Store a candidate email on its message document for later dispatch
+ * @param {Object} options - Scheduling options
+ * @param {string} options.messageId - Message ID
+ * @param {Object} options.email - Arguments for sendCandidateEmail
+ * @param {Date} options.sendAt - UTC instant to send at
+ * @param {string} options.timezone - Time zone the send time was chosen in
+ * @returns {Promise<Object>} Scheduling result
+ */
+const scheduleCandidateEmail = async ({
+  messageId,
+  email,
+  sendAt,
+  timezone,
+}) => {
+  const scheduledFor = sendAt.toISOString();
+
+  await updateMessageStatus(messageId, "scheduled", {
+    scheduledFor,
+    timezone,
+    scheduledEmail: withoutUndefined(email),
+  });
+
+  logger.info(
+    `Scheduled message ${messageId} for ${scheduledFor} (${timezone})`
+  );
+
+  return {
+    success: true,
+    message: "Email scheduled",
+    messageId,
+    scheduledFor,
+    timezone,
+  };
+};
+
+/**
+ * Apply a change to a message that must still be waiting to be dispatched
+ * @param {string} messageId - Message ID
+ * @param {Object} fields - Fields to update
+ * @returns {Promise<Object>} Updated message data
+ */
+const updateScheduledMessage = async (messageId, fields) => {
+  const docRef = db.collection("messages").doc(messageId);
+
+  return db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(docRef);
+
+    if (!doc.exists) {
+      throw new NotFoundError(`Message ${messageId} not found`);
+    }
+
+    if (doc.data().status !== "scheduled") {
+      throw new ConflictError(
+        `Message ${messageId} is ${doc.data().status} and can no longer be changed`
+      );
+    }
+
+    const update = { ...fields, updatedAt: new Date().toISOString() };
+    transaction.update(docRef, update);
+    return { id: doc.id, ...doc.data(), ...update };
+  });
+};
+
+/**
+ * Move a scheduled email to a new send time
+ * @param {string} messageId - Message ID
+ * @param {Date} sendAt - New UTC instant to send at
+ * @param {string} timezone - Time zone the send time was chosen in
+ * @returns {Promise<Object>} Rescheduling result
+ */
+const rescheduleCandidateEmail = async (messageId, sendAt, timezone) => {
+  const message = await updateScheduledMessage(messageId, {
+    scheduledFor: sendAt.toISOString(),
+    timezone,
+  });
+
+  logger.info(`Rescheduled message ${messageId} for ${message.scheduledFor}`);
+
+  return {
+    success: true,
+    message: "Email rescheduled",
+    messageId,
+    scheduledFor: message.scheduledFor,
+    timezone,
+  };
+};
+
+/**
+ * Cancel a scheduled email before it is dispatched
+ * @param {string} messageId - Message ID
+ * @returns {Promise<Object>} Cancellation result
+ */
+const cancelScheduledEmail = async (messageId) => {
+  await updateScheduledMessage(messageId, { status: "cancelled" });
+
+  logger.info(`Cancelled scheduled message ${messageId}`);
+
+  return { success: true, message: "Scheduled email cancelled", messageId };
+};
+
+/**
+ * Claim a due message so only one scheduler instance dispatches it
+ * A message whose scheduler died before queueing it is claimed again once
+ * its lease runs out.
+ * @param {Object} docRef - Message document reference
+ * @param {string} now - Current time as ISO string
+ * @param {string} leaseUntil - When the claim lapses
+ * @returns {Promise<Object|null>} Message data, or null if already claimed
+ */
+const claimScheduledMessage = (docRef, now, leaseUntil) =>
+  db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(docRef);
+    if (!doc.exists) return null;
+    const data = doc.data();
+
+    const due = data.status === "scheduled" && data.scheduledFor <= now;
+    const stalled = data.status === "dispatching" && data.leaseUntil <= now;
+    if (!due && !stalled) {
+      return null;
+    }
+
+    transaction.update(docRef, {
+      status: "dispatching",
+      leaseUntil,
+      updatedAt: now,
+    });
+    return { id: doc.id, ...data };
+  });
+
+/**
+ * Hand every due scheduled email to the outbox
+ * Needs composite indexes on messages (status, scheduledFor) and (status, leaseUntil)
+ * @returns {Promise<number>} Number of emails dispatched
+ */
+const dispatchDueEmails = async () => {
+  const now = new Date().toISOString();
+  const leaseUntil = new Date(
+    Date.now() + config.scheduler.leaseMs
+  ).toISOString();
+  const messagesCollection = db.collection("messages");
+
+  const [due, stalled] = await Promise.all([
+    messagesCollection
+      .where("status", "==", "scheduled")
+      .where("scheduledFor", "<=", now)
+      .orderBy("scheduledFor")
+      .limit(config.scheduler.batchSize)
+      .get(),
+    messagesCollection
+      .where("status", "==", "dispatching")
+      .where("leaseUntil", "<=", now)
+      .limit(config.scheduler.batchSize)
+      .get(),
+  ]);
+
+  let dispatched = 0;
+
+  for (const doc of [...stalled.docs, ...due.docs]) {
+    const message = await claimScheduledMessage(doc.ref, now, leaseUntil);
+    if (!message) continue;
+
+    try {
+      await sendCandidateEmail({
+        ...message.scheduledEmail,
+        messageId: message.id,
+      });
+      dispatched++;
+    } catch (error) {
+      logger.error(`Error dispatching scheduled message ${message.id}:`, error);
+      await updateMessageStatus(message.id, "failed");
+    }
+  }
+
+  if (dispatched > 0) {
+    logger.info(`Dispatched ${dispatched} scheduled email(s)`);
+  }
+
+  return dispatched;
+};
+
+// Background loop that releases scheduled emails when they fall due
+const scheduler = createPoller({
+  name: "Email scheduler",
+  intervalMs: config.scheduler.pollIntervalMs,
+  task: dispatchDueEmails,
+});
+
+module.exports = {
+  scheduleCandidateEmail,
+  rescheduleCandidateEmail,
+  cancelScheduledEmail,
+  dispatchDueEmails,
+  startScheduler: scheduler.start,
+  stopScheduler: scheduler.stop,
+};
@@ -0,0 +1,55 @@
+// services/senderService.js
+
+const config = require("../config/email");
+const { getTeamMember } = require("./firebaseService");
+const { renderMessageBody } = require("../utils/messageBody");
+
+/**
+ * Get the system sender used when no team member is sending
+ * @returns {Object} Sender address with name and email
+ */
+const getDefaultSender = () => ({
+  name: config.sender.name,
+  email: config.sender.email,
+});
+
+/**
+ * Resolve how a team member's emails to candidates are sent
+ *
+ * Team member documents may define:
+ *  - displayName: name shown in the From header and sign-off
+ *  - sendingAddress: alias to send from, used only once sendingAddressVerified is true
+ *  - signature / signatureFormat: signature block (text, markdown or html)
+ *
+ * Replies go to the team member's own email address.
+ * @param {string} senderId - Team member ID
+ * @returns {Promise<Object>} Sender name, from and replyTo addresses, and rendered signature
+ * @throws {NotFoundError} If the team member does not exist
+ */
+const getSenderProfile = async (senderId) => {
+  const member = await getTeamMember(senderId);
+  const defaultSender = getDefaultSender();
+  const senderName = member.displayName || member.name || defaultSender.name;
+
+  // Providers reject unverified from-addresses, so fall back to the system one
+  const fromEmail =
+    member.sendingAddress && member.sendingAddressVerified
+      ? member.sendingAddress
+      : defaultSender.email;
+
+  const signature = member.signature
+    ? renderMessageBody(member.signature, member.signatureFormat || "text")
+    : null;
+
+  return {
+    senderName,
+    from: { name: senderName, email: fromEmail },
+    replyTo: member.email ? { name: senderName, email: member.email } : null,
+    signature,
+  };
+};
+
+module.exports = {
+  getDefaultSender,
+  getSenderProfile,
+};
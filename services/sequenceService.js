@@ -0,0 +1,667 @@
+// services/sequenceService.js
+
+const config = require("../config/email");
+const logger = require("../utils/logger");
+const { createPoller } = require("../utils/poller");
+const { processTemplate } = require("../utils/templateEngine");
+const { BODY_FORMATS } = require("../utils/messageBody");
+const {
+  db,
+  getCandidate,
+  createMessage,
+  updateMessageStatus,
+} = require("./firebaseService");
+const { sendCandidateEmail } = require("./emailService");
+const { getSenderProfile } = require("./senderService");
+const { isSuppressed } = require("./suppressionService");
+const { EMAIL_CATEGORIES } = require("./unsubscribeService");
+const {
+  ValidationError,
+  NotFoundError,
+  ConflictError,
+} = require("../middleware/errorHandler");
+
+// Enrollment states; "sending" is held while the runner sends a step
+const ENROLLMENT_STATUS = {
+  ACTIVE: "active",
+  SENDING: "sending",
+  PAUSED: "paused",
+  COMPLETED: "completed",
+  STOPPED: "stopped",
+  UNENROLLED: "unenrolled",
+};
+
+// Enrollments that may still send emails
+const OPEN_STATUSES = [
+  ENROLLMENT_STATUS.ACTIVE,
+  ENROLLMENT_STATUS.SENDING,
+  ENROLLMENT_STATUS.PAUSED,
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const sequencesCollection = db.collection("sequences");
+const enrollmentsCollection = db.collection("sequenceEnrollments");
+
+/**
+ * Get the enrollment document ID; a candidate has one enrollment per sequence
+ * @param {string} sequenceId - Sequence ID
+ * @param {string} candidateId - Candidate ID
+ * @returns {string} Enrollment ID
+ */
+const getEnrollmentId = (sequenceId, candidateId) =>
+  `${sequenceId}__${candidateId}`;
+
+/**
+ * Work out when a step is due; delays count from enrollment, not the last step
+ * @param {string} enrolledAt - Enrollment time as ISO string
+ * @param {Object} step - Sequence step
+ * @returns {string} Due time as ISO string
+ */
+const getStepDueAt = (enrolledAt, step) =>
+  new Date(
+    new Date(enrolledAt).getTime() + step.delayDays * DAY_MS
+  ).toISOString();
+
+/**
+ * Validate the steps of a sequence
+ * @param {Array<Object>} steps - Steps with delayDays, subject, body and bodyFormat
+ * @returns {Array<Object>} Normalized steps
+ * @throws {ValidationError} If any step is invalid
+ */
+const validateSteps = (steps) => {
+  if (!Array.isArray(steps) || steps.length === 0) {
+    throw new ValidationError("A sequence needs at least one step");
+  }
+
+  let previousDelay = 0;
+  return steps.map((step, index) => {
+    const delayDays = Number(step.delayDays);
+    const bodyFormat = step.bodyFormat || "text";
+
+    if (!Number.isFinite(delayDays) || delayDays < previousDelay) {
+      throw new ValidationError(
+        `Step ${index + 1} needs a delayDays no earlier than the step before it`
+      );
+    }
+
+    if (!step.subject || !step.body) {
+      throw new ValidationError(`Step ${index + 1} needs a subject and body`);
+    }
+
+    if (!BODY_FORMATS.includes(bodyFormat)) {
+      throw new ValidationError(
+        `Step ${index + 1} has an invalid bodyFormat. Must be one of: ${BODY_FORMATS.join(", ")}`
+      );
+    }
+
+    previousDelay = delayDays;
+    return { delayDays, subject: step.subject, body: step.body, bodyFormat };
+  });
+};
+
+/**
+ * Create a sequence of follow-up emails
+ * Step subjects and bodies may use {{ candidateName }} and other candidate fields.
+ * @param {Object} options - Sequence options
+ * @param {string} options.name - Sequence name
+ * @param {Array<Object>} options.steps - Steps with delayDays (from enrollment), subject, body and bodyFormat
+ * @param {boolean} options.stopOnReply - Stop when the candidate replies (default true)
+ * @param {boolean} options.stopOnStageChange - Stop when the candidate changes stage (default true)
+ * @param {string} options.tenantId - Tenant (organization) ID (optional)
+ * @param {string} options.createdBy - User who created the sequence (optional)
+ * @returns {Promise<Object>} Created sequence
+ */
+const createSequence = async ({
+  name,
+  steps,
+  stopOnReply = true,
+  stopOnStageChange = true,
+  tenantId = null,
+  createdBy = null,
+}) => {
+  if (!name) {
+    throw new ValidationError("Sequence name is required");
+  }
+
+  const now = new Date().toISOString();
+  const sequence = {
+    name,
+    steps: validateSteps(steps),
+    stopOnReply,
+    stopOnStageChange,
+    tenantId,
+    createdBy,
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  const docRef = sequencesCollection.doc();
+  await docRef.set(sequence);
+  logger.info(`Created sequence ${docRef.id} (${name})`);
+
+  return { id: docRef.id, ...sequence };
+};
+
+/**
+ * List sequences, optionally for one tenant
+ * @param {Object} filters - Filters
+ * @param {string} filters.tenantId - Tenant (organization) ID (optional)
+ * @returns {Promise<Array<Object>>} Sequences
+ */
+const listSequences = async ({ tenantId } = {}) => {
+  const query = tenantId
+    ? sequencesCollection.where("tenantId", "==", tenantId)
+    : sequencesCollection;
+  const snapshot = await query.get();
+  return snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+};
+
+/**
+ * Get a sequence by ID
+ * @param {string} sequenceId - Sequence ID
+ * @returns {Promise<Object>} Sequence
+ * @throws {NotFoundError} If the sequence does not exist
+ */
+const getSequence = async (sequenceId) => {
+  const doc = await sequencesCollection.doc(sequenceId).get();
+  if (!doc.exists) {
+    throw new NotFoundError(`Sequence ${sequenceId} not found`);
+  }
+  return { id: doc.id, ...doc.data() };
+};
+
+/**
+ * Enroll a candidate in a sequence
+ * A candidate can be enrolled again once a previous enrollment has ended.
+ * @param {string} sequenceId - Sequence ID
+ * @param {Object} options - Enrollment options
+ * @param {string} options.candidateId - Candidate ID
+ * @param {string} options.senderId - Team member the emails come from (optional)
+ * @param {string} options.senderName - Sender name when no senderId is given
+ * @returns {Promise<Object>} Created enrollment
+ */
+const enrollCandidate = async (
+  sequenceId,
+  { candidateId, senderId = null, senderName = "Hiring Team" }
+) => {
+  const sequence = await getSequence(sequenceId);
+  const candidate = await getCandidate(candidateId);
+  if (senderId) await getSenderProfile(senderId);
+
+  const docRef = enrollmentsCollection.doc(
+    getEnrollmentId(sequenceId, candidateId)
+  );
+
+  return db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(docRef);
+
+    if (doc.exists && OPEN_STATUSES.includes(doc.data().status)) {
+      throw new ConflictError(
+        `Candidate ${candidateId} is already enrolled in sequence ${sequenceId}`
+      );
+    }
+
+    const now = new Date().toISOString();
+    const enrollment = {
+      sequenceId,
+      candidateId,
+      status: ENROLLMENT_STATUS.ACTIVE,
+      currentStep: 0,
+      totalSteps: sequence.steps.length,
+      nextStepAt: getStepDueAt(now, sequence.steps[0]),
+      // A stage change after this point stops the sequence
+      stageIdAtEnrollment: candidate.stageId ?? null,
+      senderId,
+      senderName,
+      tenantId: sequence.tenantId,
+      history: [],
+      stopReason: null,
+      lastError: null,
+      enrolledAt: now,
+      updatedAt: now,
+    };
+
+    transaction.set(docRef, enrollment);
+    logger.info(`Enrolled candidate ${candidateId} in sequence ${sequenceId}`);
+    return { id: docRef.id, ...enrollment };
+  });
+};
+
+/**
+ * Change an enrollment that is in one of the allowed states
+ * @param {string} sequenceId - Sequence ID
+ * @param {string} candidateId - Candidate ID
+ * @param {Array<string>} allowedStatuses - States the enrollment may be in
+ * @param {Function} buildUpdate - Returns the fields to update from the current data
+ * @returns {Promise<Object>} Updated enrollment
+ */
+const updateEnrollment = (
+  sequenceId,
+  candidateId,
+  allowedStatuses,
+  buildUpdate
+) => {
+  const docRef = enrollmentsCollection.doc(
+    getEnrollmentId(sequenceId, candidateId)
+  );
+
+  return db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(docRef);
+
+    if (!doc.exists) {
+      throw new NotFoundError(
+        `Candidate ${candidateId} is not enrolled in sequence ${sequenceId}`
+      );
+    }
+
+    const enrollment = doc.data();
+    if (!allowedStatuses.includes(enrollment.status)) {
+      throw new ConflictError(
+        `Enrollment ${doc.id} is ${enrollment.status} and cannot be changed`
+      );
+    }
+
+    const update = {
+      ...buildUpdate(enrollment),
+      updatedAt: new Date().toISOString(),
+    };
+    transaction.update(docRef, update);
+    return { id: doc.id, ...enrollment, ...update };
+  });
+};
+
+/**
+ * Pause an active enrollment
+ * @param {string} sequenceId - Sequence ID
+ * @param {string} candidateId - Candidate ID
+ * @returns {Promise<Object>} Updated enrollment
+ */
+const pauseEnrollment = (sequenceId, candidateId) =>
+  updateEnrollment(sequenceId, candidateId, [ENROLLMENT_STATUS.ACTIVE], () => ({
+    status: ENROLLMENT_STATUS.PAUSED,
+    pausedAt: new Date().toISOString(),
+  }));
+
+/**
+ * Resume a paused enrollment, pushing the next step back by the time spent paused
+ * @param {string} sequenceId - Sequence ID
+ * @param {string} candidateId - Candidate ID
+ * @returns {Promise<Object>} Updated enrollment
+ */
+const resumeEnrollment = (sequenceId, candidateId) =>
+  updateEnrollment(
+    sequenceId,
+    candidateId,
+    [ENROLLMENT_STATUS.PAUSED],
+    (enrollment) => {
+      const pausedMs = enrollment.pausedAt
+        ? Date.now() - new Date(enrollment.pausedAt).getTime()
+        : 0;
+
+      return {
+        status: ENROLLMENT_STATUS.ACTIVE,
+        nextStepAt: new Date(
+          new Date(enrollment.nextStepAt).getTime() + pausedMs
+        ).toISOString(),
+        pausedAt: null,
+      };
+    }
+  );
+
+/**
+ * Remove a candidate from a sequence; no further steps are sent
+ * @param {string} sequenceId - Sequence ID
+ * @param {string} candidateId - Candidate ID
+ * @returns {Promise<Object>} Updated enrollment
+ */
+const unenrollCandidate = (sequenceId, candidateId) =>
+  updateEnrollment(
+    sequenceId,
+    candidateId,
+    [ENROLLMENT_STATUS.ACTIVE, ENROLLMENT_STATUS.PAUSED],
+    () => ({ status: ENROLLMENT_STATUS.UNENROLLED, nextStepAt: null })
+  );
+
+/**
+ * Stop every open enrollment of a candidate, e.g. when they reply
+ * A sending enrollment is left to the runner, which checks for replies
+ * before each step.
+ * @param {string} candidateId - Candidate ID
+ * @param {string} reason - Why the sequences stopped
+ * @param {Object} options - Stop options
+ * @param {boolean} options.onReply - Only stop sequences set to stop on reply
+ * @returns {Promise<number>} Number of enrollments stopped
+ */
+const stopCandidateEnrollments = async (
+  candidateId,
+  reason,
+  { onReply = false } = {}
+) => {
+  const snapshot = await enrollmentsCollection
+    .where("candidateId", "==", candidateId)
+    .where("status", "in", [ENROLLMENT_STATUS.ACTIVE, ENROLLMENT_STATUS.PAUSED])
+    .get();
+
+  const now = new Date().toISOString();
+  let stopped = 0;
+
+  for (const doc of snapshot.docs) {
+    if (onReply) {
+      const sequenceDoc = await sequencesCollection
+        .doc(doc.data().sequenceId)
+        .get();
+      if (sequenceDoc.exists && !sequenceDoc.data().stopOnReply) continue;
+    }
+
+    await doc.ref.update({
+      status: ENROLLMENT_STATUS.STOPPED,
+      stopReason: reason,
+      nextStepAt: null,
+      updatedAt: now,
+    });
+    stopped++;
+  }
+
+  if (stopped > 0) {
+    logger.info(
+      `Stopped ${stopped} sequence enrollment(s) for candidate ${candidateId}: ${reason}`
+    );
+  }
+
+  return stopped;
+};
+
+/**
+ * List enrollments with where each candidate is in the sequence
+ * @param {Object} filters - Filters
+ * @param {string} filters.sequenceId - Sequence ID (optional)
+ * @param {string} filters.candidateId - Candidate ID (optional)
+ * @param {string} filters.status - Enrollment status (optional)
+ * @returns {Promise<Array<Object>>} Enrollments
+ */
+const listEnrollments = async ({ sequenceId, candidateId, status } = {}) => {
+  let query = enrollmentsCollection;
+  if (sequenceId) query = query.where("sequenceId", "==", sequenceId);
+  if (candidateId) query = query.where("candidateId", "==", candidateId);
+  if (status) query = query.where("status", "==", status);
+
+  const snapshot = await query.get();
+  return snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+};
+
+/**
+ * Claim a due enrollment so only one runner sends its step
+ * While sending, nextStepAt holds the lease expiry; an enrollment whose
+ * runner died mid-step is claimed again once the lease runs out.
+ * @param {Object} docRef - Enrollment document reference
+ * @param {string} now - Current time as ISO string
+ * @param {string} leaseUntil - When the claim lapses
+ * @returns {Promise<Object|null>} Enrollment data, or null if already claimed
+ */
+const claimEnrollment = (docRef, now, leaseUntil) =>
+  db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(docRef);
+    if (!doc.exists) return null;
+    const data = doc.data();
+
+    if (
+      ![ENROLLMENT_STATUS.ACTIVE, ENROLLMENT_STATUS.SENDING].includes(
+        data.status
+      ) ||
+      data.nextStepAt > now
+    ) {
+      return null;
+    }
+
+    transaction.update(docRef, {
+      status: ENROLLMENT_STATUS.SENDING,
+      nextStepAt: leaseUntil,
+      updatedAt: now,
+    });
+    return { id: doc.id, ...data };
+  });
+
+/**
+ * Find the message a previous, interrupted run created for this step
+ * @param {Object} enrollment - Claimed enrollment
+ * @returns {Promise<Object|null>} Message with its ID, or null if there is none
+ */
+const getInterruptedMessage = async (enrollment) => {
+  const pending = enrollment.pendingStep;
+  if (!pending || pending.step !== enrollment.currentStep) return null;
+
+  const doc = await db.collection("messages").doc(pending.messageId).get();
+  return doc.exists ? { id: doc.id, ...doc.data() } : null;
+};
+
+/**
+ * Check whether the candidate has emailed us since enrolling
+ * Any stored inbound email counts, whether it replies to this sequence,
+ * to an earlier email or to nothing at all.
+ * Needs a composite index on messages (candidateId, direction, receivedAt)
+ * @param {Object} enrollment - Enrollment
+ * @returns {Promise<boolean>} True if a reply was recorded
+ */
+const hasReplied = async (enrollment) => {
+  const snapshot = await db
+    .collection("messages")
+    .where("candidateId", "==", enrollment.candidateId)
+    .where("direction", "==", "inbound")
+    .where("receivedAt", ">=", enrollment.enrolledAt)
+    .limit(1)
+    .get();
+  return !snapshot.empty;
+};
+
+/**
+ * Decide whether an enrollment should stop instead of sending its next step
+ * @param {Object} enrollment - Claimed enrollment
+ * @param {Object} sequence - Sequence
+ * @param {Object} candidate - Candidate
+ * @returns {Promise<string|null>} Stop reason, or null to continue
+ */
+const getStopReason = async (enrollment, sequence, candidate) => {
+  if (!candidate.email || candidate.email.endsWith("@placeholder.com")) {
+    return "no_email";
+  }
+
+  if (candidate.unsubscribed) {
+    return "unsubscribed";
+  }
+
+  if (await isSuppressed(candidate.email)) {
+    return "suppressed";
+  }
+
+  if (
+    sequence.stopOnStageChange &&
+    (candidate.stageId ?? null) !== enrollment.stageIdAtEnrollment
+  ) {
+    return "stage_changed";
+  }
+
+  if (sequence.stopOnReply && (await hasReplied(enrollment))) {
+    return "replied";
+  }
+
+  return null;
+};
+
+/**
+ * Send the next step of a claimed enrollment and schedule the one after
+ * @param {Object} enrollment - Claimed enrollment
+ */
+const runStep = async (enrollment) => {
+  const docRef = enrollmentsCollection.doc(enrollment.id);
+  const stop = (reason) =>
+    docRef.update({
+      status: ENROLLMENT_STATUS.STOPPED,
+      stopReason: reason,
+      nextStepAt: null,
+      updatedAt: new Date().toISOString(),
+    });
+
+  let sequence;
+  let candidate;
+  try {
+    sequence = await getSequence(enrollment.sequenceId);
+    candidate = await getCandidate(enrollment.candidateId);
+  } catch (error) {
+    if (error instanceof NotFoundError) return stop("not_found");
+    throw error;
+  }
+
+  const stopReason = await getStopReason(enrollment, sequence, candidate);
+  if (stopReason) {
+    logger.info(`Stopping enrollment ${enrollment.id}: ${stopReason}`);
+    return stop(stopReason);
+  }
+
+  const stepIndex = enrollment.currentStep;
+  const step = sequence.steps[stepIndex];
+  const variables = {
+    ...candidate,
+    candidateName: candidate.name || "Candidate",
+  };
+  const subject = processTemplate(step.subject, variables, { escape: false });
+
+  // A run that died after queueing the step must not send it twice
+  const interrupted = await getInterruptedMessage(enrollment);
+  const alreadyQueued =
+    interrupted && !["pending", "failed"].includes(interrupted.status);
+
+  const messageId =
+    interrupted && interrupted.status !== "failed"
+      ? interrupted.id
+      : await createMessage({
+          candidateId: candidate.id,
+          candidateName: candidate.name,
+          candidateEmail: candidate.email,
+          subject,
+          type: "email",
+          sequenceId: sequence.id,
+          enrollmentId: enrollment.id,
+          sequenceStep: stepIndex,
+          status: "pending",
+        });
+
+  if (!alreadyQueued) {
+    await docRef.update({ pendingStep: { step: stepIndex, messageId } });
+
+    try {
+      await sendCandidateEmail({
+        messageId,
+        candidateId: candidate.id,
+        candidateName: variables.candidateName,
+        candidateEmail: candidate.email,
+        subject,
+        body: processTemplate(step.body, variables, {
+          escape: step.bodyFormat === "html",
+        }),
+        bodyFormat: step.bodyFormat,
+        senderId: enrollment.senderId,
+        senderName: enrollment.senderName,
+        tenantId: enrollment.tenantId,
+        locale: candidate.locale,
+        category: EMAIL_CATEGORIES.MARKETING,
+      });
+    } catch (error) {
+      // The email never reached the outbox, so the message won't move on its own
+      await updateMessageStatus(messageId, "failed", { error: error.message });
+      throw error;
+    }
+  }
+
+  const nextStep = sequence.steps[stepIndex + 1];
+  const now = new Date().toISOString();
+
+  await docRef.update({
+    status: nextStep ? ENROLLMENT_STATUS.ACTIVE : ENROLLMENT_STATUS.COMPLETED,
+    currentStep: stepIndex + 1,
+    nextStepAt: nextStep ? getStepDueAt(enrollment.enrolledAt, nextStep) : null,
+    history: [
+      ...enrollment.history,
+      { step: stepIndex, messageId, sentAt: now },
+    ],
+    pendingStep: null,
+    lastError: null,
+    updatedAt: now,
+  });
+
+  logger.info(
+    `Sent step ${stepIndex + 1}/${sequence.steps.length} of enrollment ${enrollment.id}`
+  );
+};
+
+/**
+ * Send every sequence step that is due
+ * Needs a composite index on sequenceEnrollments (status, nextStepAt)
+ * @returns {Promise<number>} Number of enrollments processed
+ */
+const processDueSteps = async () => {
+  const now = new Date().toISOString();
+  const leaseUntil = new Date(
+    Date.now() + config.sequences.leaseMs
+  ).toISOString();
+
+  // Sending enrollments whose lease has expired are picked up again
+  const snapshot = await enrollmentsCollection
+    .where("status", "in", [
+      ENROLLMENT_STATUS.ACTIVE,
+      ENROLLMENT_STATUS.SENDING,
+    ])
+    .where("nextStepAt", "<=", now)
+    .orderBy("nextStepAt")
+    .limit(config.sequences.batchSize)
+    .get();
+
+  let processed = 0;
+
+  for (const doc of snapshot.docs) {
+    const enrollment = await claimEnrollment(doc.ref, now, leaseUntil);
+    if (!enrollment) continue;
+
+    try {
+      await runStep(enrollment);
+      processed++;
+    } catch (error) {
+      // Pause rather than retry every poll; a recruiter can resume it
+      logger.error(
+        `Error running sequence enrollment ${enrollment.id}:`,
+        error
+      );
+      await doc.ref.update({
+        status: ENROLLMENT_STATUS.PAUSED,
+        pausedAt: new Date().toISOString(),
+        lastError: error.message,
+        updatedAt: new Date().toISOString(),
+      });
+    }
+  }
+
+  return processed;
+};
+
+// Background loop that sends sequence steps as they fall due
+const runner = createPoller({
+  name: "Sequence runner",
+  intervalMs: config.sequences.pollIntervalMs,
+  task: processDueSteps,
+});
+
+module.exports = {
+  ENROLLMENT_STATUS,
+  createSequence,
+  listSequences,
+  getSequence,
+  enrollCandidate,
+  pauseEnrollment,
+  resumeEnrollment,
+  unenrollCandidate,
+  stopCandidateEnrollments,
+  listEnrollments,
+  processDueSteps,
+  startSequenceRunner: runner.start,
+  stopSequenceRunner: runner.stop,
+};
@@ -0,0 +1,164 @@
+// services/suppressionService.js
+
+const logger = require("../utils/logger");
+const { db } = require("./firebaseService");
+const { normalizeAddressList } = require("../utils/emailOptions");
+const {
+  ValidationError,
+  NotFoundError,
+} = require("../middleware/errorHandler");
+
+// Why an address stopped receiving email
+const SUPPRESSION_REASONS = {
+  BOUNCE: "bounce",
+  COMPLAINT: "complaint",
+  UNSUBSCRIBE: "unsubscribe",
+  MANUAL: "manual",
+};
+
+// Reasons that block transactional mail too; an unsubscribe never replaces them
+const BLOCKING_REASONS = [
+  SUPPRESSION_REASONS.BOUNCE,
+  SUPPRESSION_REASONS.COMPLAINT,
+  SUPPRESSION_REASONS.MANUAL,
+];
+
+const suppressionsCollection = db.collection("suppressions");
+
+/**
+ * Get the suppression document for an address
+ * Addresses are matched case-insensitively; the ID is URI-encoded because
+ * Firestore document IDs cannot contain "/".
+ * @param {string} email - Email address
+ * @returns {Object} Document reference
+ */
+const suppressionRef = (email) =>
+  suppressionsCollection.doc(encodeURIComponent(email.trim().toLowerCase()));
+
+/**
+ * Suppress an address so no further email is sent to it
+ * Suppressing an address again keeps when it was first added, and an
+ * unsubscribe doesn't downgrade a bounce, complaint or manual entry.
+ * @param {string} email - Email address
+ * @param {Object} options - Suppression options
+ * @param {string} options.reason - bounce, complaint, unsubscribe or manual
+ * @param {string} options.source - Where the suppression came from, e.g. sendgrid or api
+ * @param {string} options.messageId - Message that triggered it (optional)
+ * @param {string} options.note - Free-text note (optional)
+ * @param {string} options.createdBy - User who added it (optional)
+ * @returns {Promise<Object>} Suppression entry
+ * @throws {ValidationError} If the address or reason is invalid
+ */
+const addSuppression = async (
+  email,
+  {
+    reason = SUPPRESSION_REASONS.MANUAL,
+    source = "api",
+    messageId = null,
+    note = null,
+    createdBy = null,
+  } = {}
+) => {
+  const [address] = normalizeAddressList(email, "email");
+  if (!address) {
+    throw new ValidationError("email is required");
+  }
+
+  if (!Object.values(SUPPRESSION_REASONS).includes(reason)) {
+    throw new ValidationError(
+      `Invalid reason. Must be one of: ${Object.values(SUPPRESSION_REASONS).join(", ")}`
+    );
+  }
+
+  const docRef = suppressionRef(address.email);
+  const existing = await docRef.get();
+  const previous = existing.exists ? existing.data() : null;
+  const now = new Date().toISOString();
+
+  const keepReason =
+    previous &&
+    reason === SUPPRESSION_REASONS.UNSUBSCRIBE &&
+    BLOCKING_REASONS.includes(previous.reason);
+
+  const entry = {
+    email: address.email.toLowerCase(),
+    reason: keepReason ? previous.reason : reason,
+    source,
+    messageId: messageId ?? previous?.messageId ?? null,
+    note: note ?? previous?.note ?? null,
+    createdBy: createdBy ?? previous?.createdBy ?? null,
+    createdAt: previous ? previous.createdAt : now,
+    updatedAt: now,
+  };
+
+  await docRef.set(entry);
+  logger.info(
+    `Suppressed ${entry.email} (${entry.reason} via ${source}${keepReason ? `, ignoring ${reason}` : ""})`
+  );
+
+  return entry;
+};
+
+/**
+ * Remove an address from the suppression list so it can be emailed again
+ * @param {string} email - Email address
+ * @returns {Promise<Object>} Removed suppression entry
+ * @throws {NotFoundError} If the address is not suppressed
+ */
+const removeSuppression = async (email) => {
+  const docRef = suppressionRef(email);
+  const doc = await docRef.get();
+  if (!doc.exists) {
+    throw new NotFoundError(`${email} is not suppressed`);
+  }
+
+  await docRef.delete();
+  logger.info(`Removed suppression for ${doc.data().email}`);
+
+  return doc.data();
+};
+
+/**
+ * List suppressed addresses, newest first
+ * Filtering by reason needs a composite index on suppressions (reason, createdAt)
+ * @param {Object} options - Filter options
+ * @param {string} options.reason - Only return entries with this reason (optional)
+ * @param {number} options.limit - Maximum number of entries
+ * @returns {Promise<Array<Object>>} Suppression entries
+ */
+const listSuppressions = async ({ reason, limit = 50 } = {}) => {
+  let query = suppressionsCollection;
+  if (reason) query = query.where("reason", "==", reason);
+
+  const snapshot = await query.orderBy("createdAt", "desc").limit(limit).get();
+  return snapshot.docs.map((doc) => doc.data());
+};
+
+/**
+ * Find which of a set of addresses are suppressed
+ * @param {Array<string>} emails - Email addresses
+ * @returns {Promise<Array<Object>>} Suppression entries for the suppressed addresses
+ */
+const findSuppressions = async (emails) => {
+  const docs = await Promise.all(
+    emails.map((email) => suppressionRef(email).get())
+  );
+  return docs.filter((doc) => doc.exists).map((doc) => doc.data());
+};
+
+/**
+ * Check whether a single address is suppressed
+ * @param {string} email - Email address
+ * @returns {Promise<boolean>} True if suppressed
+ */
+const isSuppressed = async (email) =>
+  (await findSuppressions([email])).length > 0;
+
+module.exports = {
+  SUPPRESSION_REASONS,
+  addSuppression,
+  removeSuppression,
+  listSuppressions,
+  findSuppressions,
+  isSuppressed,
+};
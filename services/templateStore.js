@@ -0,0 +1,439 @@
+// services/templateStore.js
+
+const fs = require("fs");
+const path = require("path");
+const Handlebars = require("handlebars");
+const logger = require("../utils/logger");
+const { getTemplateVariables } = require("../utils/templateEngine");
+const { DEFAULT_LOCALE, getLocaleChain } = require("../utils/i18n");
+const templateDefinitions = require("../config/templates");
+const { db } = require("./firebaseService");
+const {
+  NotFoundError,
+  ValidationError,
+} = require("../middleware/errorHandler");
+
+const TEMPLATES_DIR = path.join(__dirname, "../templates");
+
+// Tenant ID used for the organization-wide default templates
+const DEFAULT_TENANT = "default";
+
+// How long a resolved template is reused before checking Firestore again
+const CACHE_TTL_MS = 60 * 1000;
+
+const collection = db.collection("emailTemplates");
+const bundledCache = new Map();
+const resolvedCache = new Map();
+
+/**
+ * Build the Firestore document ID for a template
+ * Default-locale templates keep the unsuffixed ID
+ * @param {string} name - Template name
+ * @param {string} tenantId - Tenant (organization) ID
+ * @param {string} locale - Template locale
+ * @returns {string} Document ID
+ */
+const getDocId = (name, tenantId = DEFAULT_TENANT, locale = DEFAULT_LOCALE) =>
+  locale === DEFAULT_LOCALE
+    ? `${tenantId}__${name}`
+    : `${tenantId}__${name}__${locale}`;
+
+/**
+ * Build the bundled file name for a template variant
+ * @param {string} name - Template name
+ * @param {string} locale - Template locale
+ * @param {string} extension - html or txt
+ * @returns {string} File name, e.g. candidateEmail.de.html
+ */
+const getBundledFileName = (name, locale, extension) =>
+  locale === DEFAULT_LOCALE
+    ? `${name}.${extension}`
+    : `${name}.${locale}.${extension}`;
+
+/**
+ * Read a file bundled with the service, caching the result
+ * @param {string} file - File name inside the templates directory
+ * @returns {string|null} File contents, or null if there is no such file
+ */
+const readBundledFile = (file) => {
+  if (!bundledCache.has(file)) {
+    const filePath = path.join(TEMPLATES_DIR, file);
+    bundledCache.set(
+      file,
+      fs.existsSync(filePath) ? fs.readFileSync(filePath, "utf8") : null
+    );
+  }
+  return bundledCache.get(file);
+};
+
+/**
+ * Read a template bundled with the service
+ * @param {string} name - Template name
+ * @param {string} locale - Template locale (defaults to the default locale)
+ * @returns {string|null} Template source, or null if there is no such file
+ */
+const getBundledTemplate = (name, locale = DEFAULT_LOCALE) =>
+  readBundledFile(getBundledFileName(name, locale, "html"));
+
+/**
+ * Read the hand-written plain-text variant of a bundled template
+ * @param {string} name - Template name
+ * @param {string} locale - Template locale (defaults to the default locale)
+ * @returns {string|null} Text template source, or null if there is none
+ */
+const getBundledTextTemplate = (name, locale = DEFAULT_LOCALE) =>
+  readBundledFile(getBundledFileName(name, locale, "txt"));
+
+/**
+ * List the names of all bundled templates
+ * @returns {Array<string>} Template names
+ */
+const listBundledTemplates = () =>
+  fs
+    .readdirSync(TEMPLATES_DIR)
+    .filter((file) => /^[A-Za-z0-9]+\.html$/.test(file))
+    .map((file) => path.basename(file, ".html"));
+
+/**
+ * Get the variables a template declares
+ * @param {string} name - Template name
+ * @returns {Object} Required and optional variable names
+ */
+const getDeclaredVariables = (name) => {
+  const { required = [], optional = [] } =
+    templateDefinitions[name]?.variables || {};
+  return { required, optional };
+};
+
+/**
+ * Find variables a template references without declaring them
+ * @param {string} name - Template name
+ * @param {string} html - Template source
+ * @param {string} text - Plain-text variant source (optional)
+ * @returns {Array<string>} Undeclared variable names
+ */
+const findUndeclaredVariables = (name, html, text = null) => {
+  const { required, optional } = getDeclaredVariables(name);
+  const declared = new Set([...required, ...optional]);
+  const referenced = [
+    ...getTemplateVariables(html),
+    ...(text ? getTemplateVariables(text) : []),
+    ...getTemplateVariables(templateDefinitions[name]?.subject || ""),
+  ];
+  return [...new Set(referenced)].filter((variable) => !declared.has(variable));
+};
+
+/**
+ * Startup check that every bundled template has a definition and
+ * references only the variables it declares
+ * @returns {Array<Object>} Problems found, also logged as warnings
+ */
+const checkTemplateVariables = () => {
+  const problems = [];
+
+  for (const file of fs.readdirSync(TEMPLATES_DIR)) {
+    // name.html, name.txt or a localized variant such as name.de.html
+    const match = /^([A-Za-z0-9]+)(?:\.([A-Za-z-]+))?\.(html|txt)$/.exec(file);
+    if (!match) continue;
+
+    const [, name, , extension] = match;
+    if (!templateDefinitions[name]) {
+      problems.push({ template: file, problem: "has no definition in config" });
+      continue;
+    }
+
+    const source = readBundledFile(file);
+    const undeclared =
+      extension === "html"
+        ? findUndeclaredVariables(name, source)
+        : findUndeclaredVariables(name, "", source);
+
+    if (undeclared.length > 0) {
+      problems.push({
+        template: file,
+        problem: `references undeclared variables: ${undeclared.join(", ")}`,
+      });
+    }
+  }
+
+  for (const { template, problem } of problems) {
+    logger.warn(`Template ${template} ${problem}`);
+  }
+
+  return problems;
+};
+
+/**
+ * Load the active version of a stored template
+ * @param {string} name - Template name
+ * @param {string} tenantId - Tenant (organization) ID
+ * @param {string} locale - Template locale
+ * @returns {Promise<Object|null>} Active version, or null if none is stored
+ */
+const getActiveVersion = async (name, tenantId, locale) => {
+  const docRef = collection.doc(getDocId(name, tenantId, locale));
+  const doc = await docRef.get();
+
+  if (!doc.exists || !doc.data().activeVersion) return null;
+
+  const versionDoc = await docRef
+    .collection("versions")
+    .doc(String(doc.data().activeVersion))
+    .get();
+
+  return versionDoc.exists ? versionDoc.data() : null;
+};
+
+/**
+ * Find the best stored or bundled template for a single locale
+ * @param {string} name - Template name
+ * @param {string} tenantId - Tenant (organization) ID (optional)
+ * @param {string} locale - Template locale
+ * @returns {Promise<Object|null>} Template, or null if there is none in this locale
+ */
+const findTemplateForLocale = async (name, tenantId, locale) => {
+  const lookups = [tenantId, DEFAULT_TENANT].filter(
+    (id, index, ids) => id && ids.indexOf(id) === index
+  );
+
+  try {
+    for (const lookupTenant of lookups) {
+      const version = await getActiveVersion(name, lookupTenant, locale);
+      if (version) {
+        return {
+          name,
+          locale,
+          html: version.html,
+          text: version.text || null,
+          version: version.version,
+          source: lookupTenant === DEFAULT_TENANT ? "default" : "tenant",
+          tenantId: lookupTenant,
+        };
+      }
+    }
+  } catch (error) {
+    // A Firestore outage shouldn't stop email; fall back to the bundled copy
+    logger.error(`Error loading stored template ${name} (${locale}):`, error);
+  }
+
+  const html = getBundledTemplate(name, locale);
+  if (!html) return null;
+
+  return {
+    name,
+    locale,
+    html,
+    text: getBundledTextTemplate(name, locale),
+    version: "bundled",
+    source: "bundled",
+  };
+};
+
+/**
+ * Resolve the template to use for a send
+ * Each locale in the fallback chain (e.g. de-AT, de, en) is tried in turn;
+ * within a locale a tenant override beats the default stored template,
+ * which beats the bundled file
+ * @param {string} name - Template name
+ * @param {Object} options - Lookup options
+ * @param {string} options.tenantId - Tenant (organization) ID (optional)
+ * @param {string} options.locale - Recipient locale (optional)
+ * @returns {Promise<Object>} Template source with its name, locale, version and origin
+ */
+const getTemplate = async (name, { tenantId, locale } = {}) => {
+  const cacheKey = `${getDocId(name, tenantId)}__${locale || DEFAULT_LOCALE}`;
+  const cached = resolvedCache.get(cacheKey);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.template;
+  }
+
+  let template = null;
+  for (const candidate of getLocaleChain(locale)) {
+    template = await findTemplateForLocale(name, tenantId, candidate);
+    if (template) break;
+  }
+
+  if (!template) {
+    throw new NotFoundError(`Email template ${name} not found`);
+  }
+
+  resolvedCache.set(cacheKey, {
+    template,
+    expiresAt: Date.now() + CACHE_TTL_MS,
+  });
+
+  return template;
+};
+
+/**
+ * Drop cached lookups for a template after it changes
+ * @param {string} name - Template name
+ */
+const invalidateTemplate = (name) => {
+  for (const key of resolvedCache.keys()) {
+    if (key.split("__")[1] === name) resolvedCache.delete(key);
+  }
+};
+
+/**
+ * Publish a new version of a template and make it active
+ * @param {string} name - Template name
+ * @param {Object} options - Version details
+ * @param {string} options.html - Template source
+ * @param {string} options.text - Hand-written plain-text variant (optional)
+ * @param {string} options.tenantId - Tenant to override for (optional)
+ * @param {string} options.locale - Locale of this variant (optional)
+ * @param {string} options.createdBy - Who published the version
+ * @param {string} options.note - Change description (optional)
+ * @returns {Promise<Object>} Published version
+ */
+const publishTemplateVersion = async (
+  name,
+  {
+    html,
+    text = null,
+    tenantId = DEFAULT_TENANT,
+    locale = DEFAULT_LOCALE,
+    createdBy = null,
+    note = "",
+  }
+) => {
+  if (!getBundledTemplate(name)) {
+    throw new NotFoundError(`Email template ${name} not found`);
+  }
+
+  try {
+    Handlebars.parse(html);
+    if (text) Handlebars.parse(text);
+  } catch (error) {
+    throw new ValidationError(`Template does not compile: ${error.message}`);
+  }
+
+  const undeclared = findUndeclaredVariables(name, html, text);
+  if (undeclared.length > 0) {
+    throw new ValidationError(
+      `Template references undeclared variables: ${undeclared.join(", ")}`,
+      { template: name, undeclared }
+    );
+  }
+
+  const docRef = collection.doc(getDocId(name, tenantId, locale));
+
+  const version = await db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(docRef);
+    const nextVersion = (doc.exists ? doc.data().latestVersion : 0) + 1;
+    const now = new Date().toISOString();
+
+    const versionData = {
+      version: nextVersion,
+      html,
+      text,
+      createdBy,
+      note,
+      createdAt: now,
+    };
+
+    transaction.set(
+      docRef.collection("versions").doc(String(nextVersion)),
+      versionData
+    );
+    transaction.set(
+      docRef,
+      {
+        name,
+        tenantId,
+        locale,
+        latestVersion: nextVersion,
+        activeVersion: nextVersion,
+        updatedAt: now,
+      },
+      { merge: true }
+    );
+
+    return versionData;
+  });
+
+  invalidateTemplate(name);
+  logger.info(
+    `Published ${name} v${version.version} for tenant ${tenantId} (${locale})`
+  );
+
+  return version;
+};
+
+/**
+ * Make an earlier version of a template active again
+ * @param {string} name - Template name
+ * @param {Object} options - Rollback details
+ * @param {number} options.version - Version to activate
+ * @param {string} options.tenantId - Tenant the override belongs to (optional)
+ * @param {string} options.locale - Locale of the variant (optional)
+ * @returns {Promise<Object>} Activated version
+ */
+const rollbackTemplate = async (
+  name,
+  { version, tenantId = DEFAULT_TENANT, locale = DEFAULT_LOCALE }
+) => {
+  const docRef = collection.doc(getDocId(name, tenantId, locale));
+  const versionDoc = await docRef
+    .collection("versions")
+    .doc(String(version))
+    .get();
+
+  if (!versionDoc.exists) {
+    throw new NotFoundError(`Version ${version} of template ${name} not found`);
+  }
+
+  await docRef.update({
+    activeVersion: versionDoc.data().version,
+    updatedAt: new Date().toISOString(),
+  });
+
+  invalidateTemplate(name);
+  logger.info(
+    `Rolled back ${name} to v${version} for tenant ${tenantId} (${locale})`
+  );
+
+  return versionDoc.data();
+};
+
+/**
+ * List stored versions of a template, newest first
+ * @param {string} name - Template name
+ * @param {Object} options - Lookup options
+ * @param {string} options.tenantId - Tenant the override belongs to (optional)
+ * @param {string} options.locale - Locale of the variant (optional)
+ * @returns {Promise<Object>} Active version number and version summaries
+ */
+const listTemplateVersions = async (
+  name,
+  { tenantId = DEFAULT_TENANT, locale = DEFAULT_LOCALE } = {}
+) => {
+  const docRef = collection.doc(getDocId(name, tenantId, locale));
+  const [doc, snapshot] = await Promise.all([
+    docRef.get(),
+    docRef.collection("versions").orderBy("version", "desc").get(),
+  ]);
+
+  return {
+    name,
+    tenantId,
+    locale,
+    activeVersion: doc.exists ? doc.data().activeVersion : null,
+    versions: snapshot.docs.map((versionDoc) => {
+      const { html, text, ...summary } = versionDoc.data();
+      return summary;
+    }),
+  };
+};
+
+module.exports = {
+  getTemplate,
+  getDeclaredVariables,
+  findUndeclaredVariables,
+  checkTemplateVariables,
+  listBundledTemplates,
+  publishTemplateVersion,
+  rollbackTemplate,
+  listTemplateVersions,
+};
@@ -0,0 +1,128 @@
+// services/trackingService.js
+
+const crypto = require("crypto");
+const config = require("../config/email");
+const logger = require("../utils/logger");
+const { recordMessageEvent } = require("./messageEventService");
+const { DELIVERY_EVENTS } = require("./webhooks/eventTypes");
+const {
+  createSignedToken,
+  verifySignedToken,
+} = require("../utils/signedToken");
+
+// Link scanners, preview fetchers and scripts that load pixels and follow
+// links without a person having opened anything
+const BOT_USER_AGENT =
+  /bot|crawl|spider|slurp|preview|scanner|headless|python|curl|wget|java\/|go-http|okhttp|axios|node-fetch|barracuda|proofpoint|mimecast|safelinks|facebookexternalhit|skypeuripreview|whatsapp/i;
+
+const LINK_PATTERN = /(<a\b[^>]*?\bhref\s*=\s*)(["'])(https?:\/\/[^"']+)\2/gi;
+
+/**
+ * Check whether a tenant's email gets first-party tracking
+ * @param {string} tenantId - Tenant (organization) ID (optional)
+ * @returns {boolean} True if opens and clicks should be tracked
+ */
+const isTrackingEnabled = (tenantId) =>
+  Boolean(config.tracking.secret) &&
+  !(tenantId && config.tracking.disabledTenants.includes(tenantId));
+
+/**
+ * Build a signed tracking URL
+ * @param {string} kind - open or click
+ * @param {Object} payload - Message ID and, for clicks, the destination URL
+ * @returns {string} Tracking URL
+ */
+const createTrackingUrl = (kind, payload) =>
+  `${config.publicUrl}/api/email/track/${kind}/${createSignedToken(payload, config.tracking.secret)}`;
+
+/**
+ * Add an open pixel and route links through click tracking
+ * Links back to this service, such as unsubscribe links, are left alone.
+ * @param {string} html - Rendered HTML body
+ * @param {string} messageId - ATS message the hits are recorded on
+ * @returns {string} Tracked HTML body
+ */
+const addTracking = (html, messageId) => {
+  const tracked = html.replace(LINK_PATTERN, (match, prefix, quote, href) => {
+    if (href.startsWith(config.publicUrl)) return match;
+
+    // Hrefs are HTML-escaped; redirect to the URL the recipient would see
+    const url = href.replace(/&amp;/g, "&");
+    return `${prefix}${quote}${createTrackingUrl("click", { messageId, url })}${quote}`;
+  });
+
+  const pixel = `<img src="${createTrackingUrl("open", { messageId })}" width="1" height="1" alt="" style="display:none" />`;
+  return /<\/body>/i.test(tracked)
+    ? tracked.replace(/<\/body>/i, `${pixel}</body>`)
+    : `${tracked}${pixel}`;
+};
+
+/**
+ * Read the message and destination from a tracking token
+ * @param {string} token - Token from a tracking URL
+ * @returns {Object|null} Token payload, or null if invalid
+ */
+const readTrackingToken = (token) => {
+  const payload = verifySignedToken(token, config.tracking.secret);
+  return payload?.messageId ? payload : null;
+};
+
+/**
+ * Check whether a tracking hit came from software rather than the recipient
+ * @param {Object} req - Express request object
+ * @returns {boolean} True if the hit should not be recorded
+ */
+const isAutomatedHit = (req) => {
+  const purpose = req.get("Sec-Purpose") || req.get("Purpose") || "";
+  return (
+    req.method === "HEAD" ||
+    /prefetch|preview/i.test(purpose) ||
+    BOT_USER_AGENT.test(req.get("User-Agent") || "")
+  );
+};
+
+/**
+ * Record an open or click on the tracked message
+ * Automated hits are dropped, and recording never fails the request.
+ * @param {Object} payload - Token payload
+ * @param {string} type - DELIVERY_EVENTS.OPENED or DELIVERY_EVENTS.CLICKED
+ * @param {Object} req - Express request object
+ */
+const recordTrackingHit = async (payload, type, req) => {
+  if (isAutomatedHit(req)) {
+    logger.info(
+      `Ignoring automated ${type} on message ${payload.messageId} (${req.get("User-Agent") || "no user agent"})`
+    );
+    return;
+  }
+
+  try {
+    await recordMessageEvent(
+      payload.messageId,
+      {
+        provider: "tracking",
+        eventId: crypto.randomUUID(),
+        type,
+        occurredAt: new Date().toISOString(),
+        // IP addresses are deliberately not stored
+        details: {
+          userAgent: req.get("User-Agent") || null,
+          ...(payload.url && { url: payload.url }),
+        },
+      },
+      "read"
+    );
+  } catch (error) {
+    logger.error(
+      `Error recording ${type} on message ${payload.messageId}:`,
+      error
+    );
+  }
+};
+
+module.exports = {
+  isTrackingEnabled,
+  addTracking,
+  readTrackingToken,
+  recordTrackingHit,
+};
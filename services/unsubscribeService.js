@@ -0,0 +1,112 @@
+// services/unsubscribeService.js
+
+const config = require("../config/email");
+const logger = require("../utils/logger");
+const { db } = require("./firebaseService");
+const { SUPPRESSION_REASONS, addSuppression } = require("./suppressionService");
+const {
+  createSignedToken,
+  verifySignedToken,
+} = require("../utils/signedToken");
+const { ValidationError } = require("../middleware/errorHandler");
+
+// Marketing email carries unsubscribe links; transactional email never does
+const EMAIL_CATEGORIES = {
+  TRANSACTIONAL: "transactional",
+  MARKETING: "marketing",
+};
+
+/**
+ * Build the signed unsubscribe URL for one recipient
+ * @param {Object} recipient - Recipient the link unsubscribes
+ * @param {string} recipient.email - Email address
+ * @param {string} recipient.candidateId - Candidate ID (optional)
+ * @param {string} recipient.tenantId - Tenant (organization) ID (optional)
+ * @returns {string} Unsubscribe URL
+ * @throws {Error} If UNSUBSCRIBE_SECRET is not configured
+ */
+const createUnsubscribeUrl = ({
+  email,
+  candidateId = null,
+  tenantId = null,
+}) => {
+  if (!config.unsubscribe.secret) {
+    throw new Error("UNSUBSCRIBE_SECRET must be set to send marketing email");
+  }
+
+  const token = createSignedToken(
+    { email: email.toLowerCase(), candidateId, tenantId },
+    config.unsubscribe.secret
+  );
+  return `${config.publicUrl}/api/email/unsubscribe/${token}`;
+};
+
+/**
+ * Get the RFC 8058 headers that let mail clients unsubscribe in one click
+ * @param {string} url - Unsubscribe URL
+ * @returns {Object} List-Unsubscribe and List-Unsubscribe-Post headers
+ */
+const getUnsubscribeHeaders = (url) => ({
+  "List-Unsubscribe": `<${url}>`,
+  "List-Unsubscribe-Post": "List-Unsubscribe=One-Click",
+});
+
+/**
+ * Read the recipient from an unsubscribe token
+ * @param {string} token - Token from an unsubscribe URL
+ * @returns {Object} Recipient email, candidateId and tenantId
+ * @throws {ValidationError} If the token is invalid
+ */
+const readUnsubscribeToken = (token) => {
+  const recipient = verifySignedToken(token, config.unsubscribe.secret);
+  if (!recipient?.email) {
+    throw new ValidationError("Invalid unsubscribe link");
+  }
+  return recipient;
+};
+
+/**
+ * Opt a recipient out of marketing email
+ * The opt-out is recorded on the candidate document, if any, and as an
+ * unsubscribe suppression so campaigns and sequences skip the address.
+ * @param {string} token - Token from an unsubscribe URL
+ * @param {Object} options - Unsubscribe options
+ * @param {string} options.source - How the recipient unsubscribed, e.g. one_click or link
+ * @returns {Promise<Object>} Recipient that was unsubscribed
+ * @throws {ValidationError} If the token is invalid
+ */
+const unsubscribe = async (token, { source = "link" } = {}) => {
+  const recipient = readUnsubscribeToken(token);
+  const now = new Date().toISOString();
+
+  if (recipient.candidateId) {
+    const docRef = db.collection("candidates").doc(recipient.candidateId);
+    const doc = await docRef.get();
+
+    // The candidate may have been deleted since the email was sent
+    if (doc.exists) {
+      await docRef.update({
+        unsubscribed: true,
+        unsubscribedAt: now,
+        updatedAt: now,
+      });
+    }
+  }
+
+  await addSuppression(recipient.email, {
+    reason: SUPPRESSION_REASONS.UNSUBSCRIBE,
+    source,
+  });
+
+  logger.info(`Unsubscribed ${recipient.email} via ${source}`);
+
+  return recipient;
+};
+
+module.exports = {
+  EMAIL_CATEGORIES,
+  createUnsubscribeUrl,
+  getUnsubscribeHeaders,
+  readUnsubscribeToken,
+  unsubscribe,
+};
@@ -0,0 +1,17 @@
+// services/webhooks/eventTypes.js
+
+// Provider-neutral delivery events that webhook adapters translate into
+const DELIVERY_EVENTS = {
+  SENT: "sent",
+  DELIVERED: "delivered",
+  DEFERRED: "deferred",
+  BOUNCED: "bounced",
+  DROPPED: "dropped",
+  OPENED: "opened",
+  CLICKED: "clicked",
+  COMPLAINED: "complained",
+  UNSUBSCRIBED: "unsubscribed",
+  REPLIED: "replied",
+};
+
+module.exports = { DELIVERY_EVENTS };
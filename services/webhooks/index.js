@@ -0,0 +1,183 @@
+// services/webhooks/index.js
+
+const config = require("../../config/email");
+const logger = require("../../utils/logger");
+const { db, findMessageByProviderId } = require("../firebaseService");
+const { recordMessageEvent } = require("../messageEventService");
+const {
+  SUPPRESSION_REASONS,
+  addSuppression,
+} = require("../suppressionService");
+const { DELIVERY_EVENTS } = require("./eventTypes");
+const { createResendAdapter } = require("./resendAdapter");
+const { createSendGridAdapter } = require("./sendgridAdapter");
+
+// Adapters for providers that post delivery events to us, most specific first
+const adapters = [
+  createResendAdapter({
+    ...config.webhooks.resend,
+    toleranceSeconds: config.webhooks.toleranceSeconds,
+  }),
+  createSendGridAdapter({
+    ...config.webhooks.sendgrid,
+    toleranceSeconds: config.webhooks.toleranceSeconds,
+  }),
+];
+
+// One entry per provider event already applied
+const processedEventsCollection = db.collection("webhookEvents");
+
+// Message status each delivery event moves the message to
+const EVENT_STATUSES = {
+  [DELIVERY_EVENTS.DELIVERED]: "sent",
+  [DELIVERY_EVENTS.BOUNCED]: "failed",
+  [DELIVERY_EVENTS.DROPPED]: "failed",
+  [DELIVERY_EVENTS.OPENED]: "read",
+  [DELIVERY_EVENTS.CLICKED]: "read",
+};
+
+/**
+ * Get the suppression a delivery event should record
+ * @param {Object} event - Delivery event
+ * @returns {string|null} Suppression reason, or null if the event does not suppress
+ */
+const getSuppressionReason = (event) => {
+  if (event.type === DELIVERY_EVENTS.BOUNCED && event.permanent) {
+    return SUPPRESSION_REASONS.BOUNCE;
+  }
+  if (event.type === DELIVERY_EVENTS.COMPLAINED) {
+    return SUPPRESSION_REASONS.COMPLAINT;
+  }
+  if (event.type === DELIVERY_EVENTS.UNSUBSCRIBED) {
+    return SUPPRESSION_REASONS.UNSUBSCRIBE;
+  }
+  return null;
+};
+
+/**
+ * Find the adapter for the provider that sent a webhook request
+ * @param {Object} req - Express request object
+ * @returns {Object|null} Webhook adapter, or null if no provider matches
+ */
+const getWebhookAdapter = (req) =>
+  adapters.find((adapter) => adapter.matches(req)) || null;
+
+/**
+ * Store a delivery event on its message and advance the message status
+ * Every event is kept, even those that don't change the status.
+ * @param {Object} event - Delivery event from a webhook adapter
+ * @returns {Promise<string|null>} Message ID, or null if no message matches
+ */
+const recordEventOnMessage = async (event) => {
+  const messageId =
+    event.messageId ||
+    (event.providerMessageId &&
+      (await findMessageByProviderId(event.provider, event.providerMessageId)));
+
+  // Messages may have been deleted since the email was sent
+  const result =
+    messageId &&
+    (await recordMessageEvent(messageId, event, EVENT_STATUSES[event.type]));
+
+  if (!result) {
+    logger.info(
+      `No message for ${event.provider} ${event.type} event ${event.eventId}`
+    );
+    return null;
+  }
+
+  return messageId;
+};
+
+/**
+ * Apply one delivery event to its message and the suppression list
+ * @param {Object} event - Delivery event from a webhook adapter
+ */
+const processDeliveryEvent = async (event) => {
+  const messageId = await recordEventOnMessage(event);
+
+  const reason = getSuppressionReason(event);
+  if (reason && event.email) {
+    await addSuppression(event.email, {
+      reason,
+      source: event.provider,
+      messageId: messageId || null,
+    });
+  }
+};
+
+/**
+ * Claim a delivery event so providers' retries and duplicates apply it once
+ * @param {Object} event - Delivery event
+ * @returns {Promise<Object|null>} Claimed document reference, or null if already processed
+ */
+const claimEvent = (event) => {
+  const docRef = processedEventsCollection.doc(
+    `${event.provider}_${event.eventId}`
+  );
+
+  return db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(docRef);
+    if (doc.exists) return null;
+
+    transaction.set(docRef, {
+      provider: event.provider,
+      eventId: event.eventId,
+      type: event.type,
+      receivedAt: new Date().toISOString(),
+    });
+    return docRef;
+  });
+};
+
+/**
+ * Apply every delivery event from a webhook request
+ * A failed event is released again so the provider's retry can apply it.
+ * @param {Array<Object>} events - Delivery events from a webhook adapter
+ * @returns {Promise<Object>} Counts of processed, duplicate and failed events
+ */
+const processDeliveryEvents = async (events) => {
+  const counts = { processed: 0, duplicates: 0, failed: 0 };
+
+  for (const event of events) {
+    let claim = null;
+
+    try {
+      claim = await claimEvent(event);
+      if (!claim) {
+        counts.duplicates++;
+        continue;
+      }
+
+      await processDeliveryEvent(event);
+      counts.processed++;
+      logger.info(
+        `Processed ${event.provider} ${event.type} event for email: ${event.email}`
+      );
+    } catch (error) {
+      counts.failed++;
+      logger.error(
+        `Error processing ${event.provider} event ${event.eventId}:`,
+        error
+      );
+      if (claim) {
+        await claim
+          .delete()
+          .catch((deleteError) =>
+            logger.error(
+              `Error releasing ${event.provider} event ${event.eventId}:`,
+              deleteError
+            )
+          );
+      }
+    }
+  }
+
+  return counts;
+};
+
+module.exports = {
+  DELIVERY_EVENTS,
+  getWebhookAdapter,
+  processDeliveryEvents,
+};
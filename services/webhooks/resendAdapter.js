@@ -0,0 +1,123 @@
+// services/webhooks/resendAdapter.js
+
+const crypto = require("crypto");
+const { DELIVERY_EVENTS } = require("./eventTypes");
+const { AuthenticationError } = require("../../middleware/errorHandler");
+
+// Resend event types and the delivery events they represent
+const EVENT_TYPES = {
+  "email.sent": DELIVERY_EVENTS.SENT,
+  "email.delivered": DELIVERY_EVENTS.DELIVERED,
+  "email.delivery_delayed": DELIVERY_EVENTS.DEFERRED,
+  "email.bounced": DELIVERY_EVENTS.BOUNCED,
+  "email.opened": DELIVERY_EVENTS.OPENED,
+  "email.clicked": DELIVERY_EVENTS.CLICKED,
+  "email.complained": DELIVERY_EVENTS.COMPLAINED,
+};
+
+/**
+ * Compare two strings in constant time
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {boolean} True if equal
+ */
+const safeEqual = (a, b) => {
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+/**
+ * Create the webhook adapter for Resend, which signs its webhooks with Svix
+ * @param {Object} options - Adapter settings
+ * @param {string} options.signingSecret - Svix signing secret (whsec_...)
+ * @param {number} options.toleranceSeconds - Max age of a signed request
+ * @returns {Object} Webhook adapter
+ */
+const createResendAdapter = ({ signingSecret, toleranceSeconds }) => {
+  /**
+   * Check whether a request came from Resend
+   * @param {Object} req - Express request object
+   * @returns {boolean} True if the request carries Svix headers
+   */
+  const matches = (req) => Boolean(req.headers["svix-id"]);
+
+  /**
+   * Verify the Svix signature over the raw request body
+   * @param {Object} req - Express request object with rawBody
+   * @throws {AuthenticationError} If the signature is missing, stale or wrong
+   */
+  const verify = (req) => {
+    if (!signingSecret) {
+      throw new AuthenticationError(
+        "Resend webhook signing secret is not configured"
+      );
+    }
+
+    const id = req.headers["svix-id"];
+    const timestamp = req.headers["svix-timestamp"];
+    const signatures = req.headers["svix-signature"];
+
+    if (!id || !timestamp || !signatures || !req.rawBody) {
+      throw new AuthenticationError("Missing webhook signature");
+    }
+
+    const ageSeconds = Math.abs(Date.now() / 1000 - Number(timestamp));
+    if (!(ageSeconds <= toleranceSeconds)) {
+      throw new AuthenticationError("Webhook timestamp is outside tolerance");
+    }
+
+    const key = Buffer.from(signingSecret.replace(/^whsec_/, ""), "base64");
+    const expected = crypto
+      .createHmac("sha256", key)
+      .update(`${id}.${timestamp}.`)
+      .update(req.rawBody)
+      .digest("base64");
+
+    // The header lists space-separated "v1,<signature>" entries during key rotation
+    const valid = signatures.split(" ").some((entry) => {
+      const [version, signature] = entry.split(",");
+      return version === "v1" && signature && safeEqual(signature, expected);
+    });
+
+    if (!valid) {
+      throw new AuthenticationError("Invalid webhook signature");
+    }
+  };
+
+  /**
+   * Translate a Resend webhook into delivery events
+   * Resend sends one event per request; ours are matched by the Resend email ID.
+   * @param {Object} req - Express request object
+   * @returns {Array<Object>} Delivery events
+   */
+  const parseEvents = (req) => {
+    const { type, created_at: createdAt, data = {} } = req.body;
+    const eventType = EVENT_TYPES[type];
+    if (!eventType) return [];
+
+    return [
+      {
+        provider: "resend",
+        eventId: req.headers["svix-id"],
+        type: eventType,
+        email: Array.isArray(data.to) ? data.to[0] : data.to,
+        providerMessageId: data.email_id,
+        messageId: null,
+        occurredAt: createdAt || new Date().toISOString(),
+        // Transient bounces are retried by the receiving server
+        permanent:
+          eventType !== DELIVERY_EVENTS.BOUNCED ||
+          data.bounce?.type !== "Transient",
+        details: {
+          ...(data.bounce && { bounce: data.bounce }),
+          ...(data.click && { url: data.click.link }),
+        },
+      },
+    ];
+  };
+
+  return { name: "resend", matches, verify, parseEvents };
+};
+
+module.exports = { createResendAdapter };
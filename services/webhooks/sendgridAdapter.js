@@ -0,0 +1,153 @@
+// services/webhooks/sendgridAdapter.js
+
+const crypto = require("crypto");
+const { DELIVERY_EVENTS } = require("./eventTypes");
+const logger = require("../../utils/logger");
+const { AuthenticationError } = require("../../middleware/errorHandler");
+
+const SIGNATURE_HEADER = "x-twilio-email-event-webhook-signature";
+const TIMESTAMP_HEADER = "x-twilio-email-event-webhook-timestamp";
+
+// SendGrid event names and the delivery events they represent
+const EVENT_TYPES = {
+  processed: DELIVERY_EVENTS.SENT,
+  delivered: DELIVERY_EVENTS.DELIVERED,
+  deferred: DELIVERY_EVENTS.DEFERRED,
+  bounce: DELIVERY_EVENTS.BOUNCED,
+  dropped: DELIVERY_EVENTS.DROPPED,
+  open: DELIVERY_EVENTS.OPENED,
+  click: DELIVERY_EVENTS.CLICKED,
+  spamreport: DELIVERY_EVENTS.COMPLAINED,
+  unsubscribe: DELIVERY_EVENTS.UNSUBSCRIBED,
+  group_unsubscribe: DELIVERY_EVENTS.UNSUBSCRIBED,
+};
+
+/**
+ * Create the webhook adapter for SendGrid's signed event webhook
+ * @param {Object} options - Adapter settings
+ * @param {string} options.verificationKey - Base64 ECDSA public key from the SendGrid webhook settings
+ * @param {number} options.toleranceSeconds - Max age of a signed request
+ * @returns {Object} Webhook adapter
+ */
+const createSendGridAdapter = ({ verificationKey, toleranceSeconds }) => {
+  let publicKey;
+
+  /**
+   * Parse the verification key on first use; the key is shown in SendGrid as
+   * base64 DER (SPKI). A malformed key is logged once and rejects every request
+   * rather than stopping the server from starting.
+   * @returns {Object|null} Public key, or null if missing or malformed
+   */
+  const getPublicKey = () => {
+    if (publicKey !== undefined) return publicKey;
+
+    publicKey = null;
+    if (verificationKey) {
+      try {
+        publicKey = crypto.createPublicKey({
+          key: Buffer.from(verificationKey, "base64"),
+          format: "der",
+          type: "spki",
+        });
+      } catch (error) {
+        logger.error("Invalid SendGrid webhook verification key:", error);
+      }
+    }
+    return publicKey;
+  };
+
+  /**
+   * Check whether a request came from SendGrid
+   * @param {Object} req - Express request object
+   * @returns {boolean} True for signed requests and SendGrid-shaped events
+   */
+  const matches = (req) =>
+    Boolean(req.headers[SIGNATURE_HEADER]) ||
+    Array.isArray(req.body) ||
+    Boolean(req.body?.sg_event_id);
+
+  /**
+   * Verify the ECDSA signature over the timestamp and raw request body
+   * @param {Object} req - Express request object with rawBody
+   * @throws {AuthenticationError} If the signature is missing, stale or wrong
+   */
+  const verify = (req) => {
+    const key = getPublicKey();
+    if (!key) {
+      throw new AuthenticationError(
+        "SendGrid webhook verification key is not configured or invalid"
+      );
+    }
+
+    const signature = req.headers[SIGNATURE_HEADER];
+    const timestamp = req.headers[TIMESTAMP_HEADER];
+
+    if (!signature || !timestamp || !req.rawBody) {
+      throw new AuthenticationError("Missing webhook signature");
+    }
+
+    const ageSeconds = Math.abs(Date.now() / 1000 - Number(timestamp));
+    if (!(ageSeconds <= toleranceSeconds)) {
+      throw new AuthenticationError("Webhook timestamp is outside tolerance");
+    }
+
+    const valid = crypto.verify(
+      "sha256",
+      Buffer.concat([Buffer.from(timestamp), req.rawBody]),
+      key,
+      Buffer.from(signature, "base64")
+    );
+
+    if (!valid) {
+      throw new AuthenticationError("Invalid webhook signature");
+    }
+  };
+
+  /**
+   * Translate one SendGrid event into a delivery event
+   * @param {Object} event - SendGrid event
+   * @returns {Object|null} Delivery event, or null for events we don't track
+   */
+  const parseEvent = (event) => {
+    const type = EVENT_TYPES[event.event];
+    if (!type || !event.sg_event_id) return null;
+
+    // Custom args set at send time come back on every event, usually flattened
+    const messageId =
+      event.custom_args?.ats_message_id || event.ats_message_id || null;
+
+    return {
+      provider: "sendgrid",
+      eventId: event.sg_event_id,
+      type,
+      email: event.email,
+      // sg_message_id is the send-time X-Message-Id plus a filter suffix
+      providerMessageId: event.sg_message_id?.split(".")[0] || null,
+      messageId,
+      occurredAt: event.timestamp
+        ? new Date(event.timestamp * 1000).toISOString()
+        : new Date().toISOString(),
+      // Blocked bounces are usually temporary
+      permanent: type !== DELIVERY_EVENTS.BOUNCED || event.type !== "blocked",
+      details: {
+        ...(event.reason && { reason: event.reason }),
+        ...(event.url && { url: event.url }),
+      },
+    };
+  };
+
+  /**
+   * Translate a SendGrid webhook into delivery events
+   * SendGrid batches events into an array; a lone object is treated as a batch of one.
+   * @param {Object} req - Express request object
+   * @returns {Array<Object>} Delivery events
+   */
+  const parseEvents = (req) =>
+    (Array.isArray(req.body) ? req.body : [req.body])
+      .map(parseEvent)
+      .filter(Boolean);
+
+  return { name: "sendgrid", matches, verify, parseEvents };
+};
+
+module.exports = { createSendGridAdapter };
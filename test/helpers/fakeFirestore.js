@@ -0,0 +1,111 @@
+// test/helpers/fakeFirestore.js
+
+const crypto = require("crypto");
+
+/**
+ * Copy document data the way Firestore would, so callers can't share state
+ * @param {Object} data - Document data
+ * @returns {Object} Deep copy
+ */
+const copy = (data) =>
+  data === undefined ? undefined : JSON.parse(JSON.stringify(data));
+
+/**
+ * Create an in-memory stand-in for the Firestore client
+ * Supports the document, query and transaction calls the services make;
+ * transactions run their callback directly, without contention.
+ * @returns {Object} Fake db with a documents map for assertions
+ */
+const createFakeDb = () => {
+  const documents = new Map();
+
+  const snapshot = (ref, data) => ({
+    id: ref.id,
+    ref,
+    exists: data !== undefined,
+    data: () => copy(data),
+  });
+
+  const docRef = (path) => ({
+    id: path.split("/").pop(),
+    path,
+    get: async () => snapshot(docRef(path), documents.get(path)),
+    set: async (data, { merge = false } = {}) => {
+      const current = merge ? documents.get(path) : undefined;
+      documents.set(path, copy({ ...current, ...data }));
+    },
+    update: async (fields) => {
+      if (!documents.has(path)) {
+        throw new Error(`No document to update: ${path}`);
+      }
+      documents.set(path, copy({ ...documents.get(path), ...fields }));
+    },
+    delete: async () => {
+      documents.delete(path);
+    },
+  });
+
+  const matches = (value, op, expected) => {
+    switch (op) {
+      case "==":
+        return value === expected;
+      case "<=":
+        return value !== undefined && value <= expected;
+      case ">=":
+        return value !== undefined && value >= expected;
+      case "in":
+        return expected.includes(value);
+      default:
+        throw new Error(`Unsupported operator: ${op}`);
+    }
+  };
+
+  const query = (path, filters = [], order = [], limit = null) => ({
+    where: (field, op, value) =>
+      query(path, [...filters, [field, op, value]], order, limit),
+    orderBy: (field, direction = "asc") =>
+      query(path, filters, [...order, [field, direction]], limit),
+    limit: (count) => query(path, filters, order, count),
+    get: async () => {
+      let docs = [...documents.entries()]
+        .filter(([key]) => key.startsWith(`${path}/`))
+        .filter(([, data]) =>
+          filters.every(([field, op, value]) => matches(data[field], op, value))
+        );
+
+      for (const [field, direction] of [...order].reverse()) {
+        const sign = direction === "desc" ? -1 : 1;
+        docs.sort(
+          ([, a], [, b]) =>
+            sign * (a[field] < b[field] ? -1 : a[field] > b[field] ? 1 : 0)
+        );
+      }
+      if (limit !== null) docs = docs.slice(0, limit);
+
+      const results = docs.map(([key, data]) => snapshot(docRef(key), data));
+      return {
+        docs: results,
+        empty: results.length === 0,
+        size: results.length,
+        forEach: (callback) => results.forEach(callback),
+      };
+    },
+  });
+
+  const collection = (name) => ({
+    ...query(name),
+    doc: (id = crypto.randomUUID()) => docRef(`${name}/${id}`),
+  });
+
+  const runTransaction = async (callback) =>
+    callback({
+      get: (ref) => ref.get(),
+      set: (ref, data, options) => ref.set(data, options),
+      update: (ref, fields) => ref.update(fields),
+      delete: (ref) => ref.delete(),
+    });
+
+  return { collection, runTransaction, documents };
+};
+
+module.exports = { createFakeDb };
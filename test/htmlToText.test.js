@@ -0,0 +1,52 @@
+// test/htmlToText.test.js
+
+const { htmlToText, decodeEntities } = require("../utils/htmlToText");
+
+describe("htmlToText", () => {
+  it("separates paragraphs and keeps line breaks", () => {
+    expect(htmlToText("<p>Hello   there</p><p>Line one<br>Line two</p>")).toBe(
+      "Hello there\n\nLine one\nLine two"
+    );
+  });
+
+  it("turns links into numbered footnotes, reusing repeated ones", () => {
+    const html =
+      '<p><a href="https://a.example/x">Apply</a> or <a href="https://b.example">read more</a>, then <a href="https://a.example/x">apply</a>.</p>';
+    expect(htmlToText(html)).toBe(
+      "Apply [1] or read more [2], then apply [1].\n\n[1] https://a.example/x\n[2] https://b.example"
+    );
+  });
+
+  it("writes bare, mailto and anchor links inline", () => {
+    const html =
+      '<a href="https://x.example">https://x.example</a> <a href="mailto:jo@x.example"></a> <a href="#top">Top</a>';
+    expect(htmlToText(html)).toBe("https://x.example jo@x.example Top");
+  });
+
+  it("numbers ordered lists and bullets unordered ones", () => {
+    expect(
+      htmlToText("<ol><li>First</li><li>Second</li></ol><ul><li>Item</li></ul>")
+    ).toBe("1. First\n2. Second\n\n- Item");
+  });
+
+  it("drops head, style and script content and uses image alt text", () => {
+    const html =
+      '<html><head><title>T</title><style>p{}</style></head><body><script>x()</script><img alt="Logo" src="l.png"><p>Body</p></body></html>';
+    expect(htmlToText(html)).toBe("Logo\n\nBody");
+  });
+
+  it("flattens layout tables into one line per row", () => {
+    const text = htmlToText(
+      "<table><tr><td>Role</td><td>Engineer</td></tr><tr><td>Team</td><td>Core</td></tr></table>"
+    );
+    expect(text.split(/\n+/)).toEqual(["Role Engineer", "Team Core"]);
+  });
+});
+
+describe("decodeEntities", () => {
+  it("decodes named, decimal and hex entities", () => {
+    expect(
+      decodeEntities("&lt;b&gt; &amp; &#39;x&#x27; &hellip; &bogus;")
+    ).toBe("<b> & 'x' … &bogus;");
+  });
+});
@@ -0,0 +1,86 @@
+// test/icalendar.test.js
+
+const { buildCalendarEvent, CALENDAR_METHODS } = require("../utils/icalendar");
+
+const EVENT = {
+  uid: "interview-1@ats.example",
+  sequence: 2,
+  start: "2025-03-04T15:00:00.000Z",
+  end: "2025-03-04T16:00:00.000Z",
+  summary: "Technical interview; round 2, backend",
+  organizer: { name: "Alex Morgan", email: "alex@corp.example" },
+  attendees: [{ name: "Rivera, Jordan", email: "jordan@example.com" }],
+};
+
+/**
+ * Unfold an iCalendar object into its content lines
+ * @param {string} ics - iCalendar text
+ * @returns {Array<string>} Content lines
+ */
+const contentLines = (ics) => ics.replace(/\r\n /g, "").split("\r\n");
+
+describe("buildCalendarEvent", () => {
+  it("writes an invitation with UTC times and escaped text", () => {
+    const ics = buildCalendarEvent(EVENT);
+    const lines = contentLines(ics);
+
+    expect(ics.endsWith("\r\n")).toBe(true);
+    expect(lines).toEqual(
+      expect.arrayContaining([
+        "METHOD:REQUEST",
+        "UID:interview-1@ats.example",
+        "SEQUENCE:2",
+        "DTSTART:20250304T150000Z",
+        "DTEND:20250304T160000Z",
+        "SUMMARY:Technical interview\\; round 2\\, backend",
+        "STATUS:CONFIRMED",
+        "ORGANIZER;CN=Alex Morgan:mailto:alex@corp.example",
+        'ATTENDEE;CN="Rivera, Jordan";ROLE=REQ-PARTICIPANT;PARTSTAT=NEEDS-ACTION;RSVP=TRUE:mailto:jordan@example.com',
+      ])
+    );
+  });
+
+  it("marks a cancellation and asks for no reply", () => {
+    const lines = contentLines(
+      buildCalendarEvent({ ...EVENT, method: CALENDAR_METHODS.CANCEL })
+    );
+    expect(lines).toContain("METHOD:CANCEL");
+    expect(lines).toContain("STATUS:CANCELLED");
+    expect(lines.find((line) => line.startsWith("ATTENDEE"))).toMatch(
+      /RSVP=FALSE/
+    );
+  });
+
+  it("folds long lines to 75 octets", () => {
+    const ics = buildCalendarEvent({
+      ...EVENT,
+      description: "Überblick ".repeat(30),
+    });
+    for (const line of ics.split("\r\n")) {
+      expect(Buffer.byteLength(line)).toBeLessThanOrEqual(75);
+    }
+    expect(contentLines(ics)).toContain(
+      `DESCRIPTION:${"Überblick ".repeat(30)}`
+    );
+  });
+
+  it("keeps line breaks in names, emails and URLs from adding properties", () => {
+    const ics = buildCalendarEvent({
+      ...EVENT,
+      description: "Line one\nLine two",
+      url: "https://meet.example/x\r\nATTACH:https://evil.example",
+      organizer: {
+        name: "Alex\r\nATTENDEE:mailto:evil@example.com",
+        email: "alex@corp.example\nX-INJECTED:1",
+      },
+    });
+    const lines = contentLines(ics);
+
+    expect(lines).toContain("DESCRIPTION:Line one\\nLine two");
+    expect(lines.some((line) => /^(ATTACH|X-INJECTED)/.test(line))).toBe(false);
+    expect(lines.filter((line) => line.startsWith("ATTENDEE")).length).toBe(1);
+    expect(lines).toContain(
+      "URL:https://meet.example/xATTACH:https://evil.example"
+    );
+  });
+});
@@ -0,0 +1,134 @@
+// test/idempotencyService.test.js
+
+jest.mock("../utils/logger");
+jest.mock("../services/firebaseService", () => ({
+  db: require("./helpers/fakeFirestore").createFakeDb(),
+}));
+
+const config = require("../config/email");
+const { db } = require("../services/firebaseService");
+const {
+  beginSend,
+  completeSend,
+  failSend,
+  recordDelivery,
+  recordDeliveryFailure,
+} = require("../services/idempotencyService");
+const { ConflictError } = require("../middleware/errorHandler");
+
+const RESULT = { success: true, messageId: "m1", jobId: "j1" };
+
+const getKey = async (messageId) =>
+  (await db.collection("idempotencyKeys").doc(messageId).get()).data();
+
+/**
+ * Backdate an in-flight key past the timeout, as if its request had died
+ * @param {string} messageId - Message ID
+ * @returns {Promise<string>} The backdated start time
+ */
+const makeStale = async (messageId) => {
+  const startedAt = new Date(
+    Date.now() - config.idempotency.inFlightTimeoutMs - 1000
+  ).toISOString();
+  await db.collection("idempotencyKeys").doc(messageId).update({ startedAt });
+  return startedAt;
+};
+
+describe("idempotency keys", () => {
+  beforeEach(() => db.documents.clear());
+
+  it("replays a completed send", async () => {
+    expect(await beginSend("m1")).toEqual({ replay: false });
+    await completeSend("m1", RESULT);
+
+    expect(await beginSend("m1")).toEqual({ replay: true, result: RESULT });
+  });
+
+  it("refuses a second send while the first is in flight", async () => {
+    await beginSend("m1");
+    await expect(beginSend("m1")).rejects.toThrow(ConflictError);
+  });
+
+  it("lets a failed send be retried", async () => {
+    await beginSend("m1");
+    await failSend("m1", new Error("Provider down"));
+
+    expect(await getKey("m1")).toMatchObject({
+      status: "failed",
+      lastError: "Provider down",
+    });
+    expect(await beginSend("m1")).toEqual({ replay: false });
+    expect((await getKey("m1")).status).toBe("in_flight");
+  });
+
+  it("never releases a completed send", async () => {
+    await beginSend("m1");
+    await completeSend("m1", RESULT);
+    await failSend("m1", new Error("late failure"));
+
+    expect((await getKey("m1")).status).toBe("completed");
+  });
+
+  it("takes over a stale claim whose email was never queued", async () => {
+    await beginSend("m1");
+    await makeStale("m1");
+
+    expect(await beginSend("m1")).toEqual({ replay: false });
+  });
+
+  it("completes a stale claim whose email was queued", async () => {
+    await beginSend("m1");
+    const startedAt = await makeStale("m1");
+    await db
+      .collection("messages")
+      .doc("m1")
+      .set({
+        status: "queued",
+        outboxJobId: "j1",
+        queuedAt: new Date(new Date(startedAt).getTime() + 500).toISOString(),
+      });
+
+    expect(await beginSend("m1")).toEqual({
+      replay: true,
+      result: {
+        success: true,
+        message: "Email queued for delivery",
+        messageId: "m1",
+        jobId: "j1",
+      },
+    });
+    expect((await getKey("m1")).status).toBe("completed");
+  });
+
+  it("attaches the provider's message ID once delivered", async () => {
+    await beginSend("m1");
+    await completeSend("m1", RESULT);
+    await recordDelivery("m1", { provider: "resend", providerMessageId: "p1" });
+
+    expect(await getKey("m1")).toMatchObject({
+      status: "completed",
+      result: RESULT,
+      provider: "resend",
+      providerMessageId: "p1",
+    });
+  });
+
+  it("reopens a completed key when the outbox dead-letters the email", async () => {
+    await beginSend("m1");
+    await completeSend("m1", RESULT);
+    await recordDeliveryFailure("m1", "Mailbox does not exist");
+
+    expect(await getKey("m1")).toMatchObject({
+      status: "failed",
+      lastError: "Mailbox does not exist",
+    });
+    expect(await beginSend("m1")).toEqual({ replay: false });
+  });
+
+  it("leaves an in-flight key alone when a delivery fails", async () => {
+    await beginSend("m1");
+    await recordDeliveryFailure("m1", "Mailbox does not exist");
+
+    expect((await getKey("m1")).status).toBe("in_flight");
+  });
+});
@@ -0,0 +1,227 @@
+// test/outboxService.test.js
+
+process.env.OUTBOX_STORE = "memory";
+process.env.OUTBOX_MAX_ATTEMPTS = "2";
+process.env.BULK_SENDS_PER_SECOND = "20";
+
+jest.mock("../utils/logger");
+jest.mock("../services/firebaseService", () => ({
+  db: require("./helpers/fakeFirestore").createFakeDb(),
+}));
+jest.mock("../services/providers", () => ({ sendWithFailover: jest.fn() }));
+jest.mock("../services/attachmentService", () => ({
+  loadAttachmentContent: jest.fn(async (message) => message),
+}));
+jest.mock("../services/messageEventService", () => ({
+  updatePipelineStatus: jest.fn(async () => {}),
+}));
+jest.mock("../services/idempotencyService", () => ({
+  recordDelivery: jest.fn(async () => {}),
+  recordDeliveryFailure: jest.fn(async () => {}),
+}));
+
+const { sendWithFailover } = require("../services/providers");
+const { updatePipelineStatus } = require("../services/messageEventService");
+const {
+  recordDelivery,
+  recordDeliveryFailure,
+} = require("../services/idempotencyService");
+const memoryStore = require("../services/outbox/memoryStore");
+const outbox = require("../services/outboxService");
+const { ProviderError, ConflictError } = require("../middleware/errorHandler");
+
+// Lets a test make the next few "mark sent" writes fail
+let failingSentUpdates = 0;
+const createMemoryStore = memoryStore.createMemoryStore;
+jest.spyOn(memoryStore, "createMemoryStore").mockImplementation(() => {
+  const store = createMemoryStore();
+  const update = store.update;
+  store.update = async (id, fields) => {
+    if (fields.status === "sent" && failingSentUpdates > 0) {
+      failingSentUpdates--;
+      throw new Error("Store unavailable");
+    }
+    return update(id, fields);
+  };
+  return store;
+});
+
+/**
+ * Queue a test email
+ * @param {Object} options - Extra enqueue options
+ * @returns {Promise<Object>} Created job
+ */
+const enqueue = (options = {}) =>
+  outbox.enqueueEmail({
+    message: { to: ["jo@example.com"], subject: "Hello", html: "<p>Hi</p>" },
+    providers: ["resend", "sendgrid"],
+    messageId: "m1",
+    ...options,
+  });
+
+beforeEach(async () => {
+  jest.clearAllMocks();
+  // Deliver anything an earlier test left due so counts start from zero
+  sendWithFailover.mockResolvedValue({ id: "p0", provider: "resend" });
+  await outbox.processDueJobs();
+  jest.clearAllMocks();
+});
+
+describe("outbox", () => {
+  it("queues a job and marks its message queued", async () => {
+    const job = await enqueue();
+
+    expect(job).toMatchObject({ status: "pending", attempts: 0 });
+    expect(updatePipelineStatus).toHaveBeenCalledWith(
+      "m1",
+      "queued",
+      expect.objectContaining({ outboxJobId: job.id })
+    );
+  });
+
+  it("delivers a due job once and records the provider's ID", async () => {
+    sendWithFailover.mockResolvedValue({ id: "p1", provider: "sendgrid" });
+    const job = await enqueue();
+
+    expect(await outbox.processDueJobs()).toBe(1);
+    expect(await outbox.processDueJobs()).toBe(0);
+
+    expect(sendWithFailover).toHaveBeenCalledTimes(1);
+    expect(await outbox.getJob(job.id)).toMatchObject({
+      status: "sent",
+      attempts: 1,
+      provider: "sendgrid",
+      providerMessageId: "p1",
+    });
+    expect(updatePipelineStatus).toHaveBeenLastCalledWith("m1", "sent", {
+      provider: "sendgrid",
+      providerMessageId: "p1",
+    });
+    expect(recordDelivery).toHaveBeenCalledWith("m1", {
+      provider: "sendgrid",
+      providerMessageId: "p1",
+    });
+  });
+
+  it("never resends a job the provider accepted when marking it sent fails", async () => {
+    failingSentUpdates = 1;
+    const job = await enqueue();
+
+    await outbox.processDueJobs();
+
+    expect(sendWithFailover).toHaveBeenCalledTimes(1);
+    expect((await outbox.getJob(job.id)).status).toBe("sent");
+  });
+
+  it("schedules a retry after a retryable failure", async () => {
+    sendWithFailover.mockRejectedValue(
+      new ProviderError("Rate limited", { provider: "resend", retryable: true })
+    );
+    const job = await enqueue();
+
+    await outbox.processDueJobs();
+
+    const retried = await outbox.getJob(job.id);
+    expect(retried).toMatchObject({
+      status: "pending",
+      attempts: 1,
+      lastError: "Rate limited",
+    });
+    expect(new Date(retried.nextAttemptAt).getTime()).toBeGreaterThan(
+      Date.now()
+    );
+    expect(updatePipelineStatus).toHaveBeenLastCalledWith("m1", "queued", {});
+    expect(recordDeliveryFailure).not.toHaveBeenCalled();
+  });
+
+  it("dead-letters a permanent failure and reopens the idempotency key", async () => {
+    sendWithFailover.mockRejectedValue(
+      new ProviderError("Invalid recipient", { provider: "resend" })
+    );
+    const job = await enqueue();
+
+    await outbox.processDueJobs();
+
+    expect(await outbox.getJob(job.id)).toMatchObject({
+      status: "dead",
+      attempts: 1,
+      lastError: "Invalid recipient",
+    });
+    expect(updatePipelineStatus).toHaveBeenLastCalledWith("m1", "failed", {});
+    expect(recordDeliveryFailure).toHaveBeenCalledWith(
+      "m1",
+      "Invalid recipient"
+    );
+  });
+
+  it("dead-letters a job that runs out of attempts", async () => {
+    sendWithFailover.mockRejectedValue(new Error("Connection reset"));
+    const job = await enqueue();
+
+    await outbox.processDueJobs();
+    expect(await outbox.getJob(job.id)).toMatchObject({
+      status: "pending",
+      attempts: 1,
+    });
+
+    // Run the worker again once the backoff has passed
+    const later = Date.now() + 2 * 60 * 60 * 1000;
+    jest.spyOn(Date, "now").mockReturnValue(later);
+    try {
+      await outbox.processDueJobs();
+    } finally {
+      Date.now.mockRestore();
+    }
+
+    expect(await outbox.getJob(job.id)).toMatchObject({
+      status: "dead",
+      attempts: 2,
+      lastError: "Connection reset",
+    });
+    expect(recordDeliveryFailure).toHaveBeenCalledWith(
+      "m1",
+      "Connection reset"
+    );
+  });
+
+  it("cancels a pending job and retries it with fresh attempts", async () => {
+    const job = await enqueue({ notBefore: new Date(Date.now() + 60000) });
+
+    const cancelled = await outbox.cancelJob(job.id);
+    expect(cancelled.status).toBe("cancelled");
+    expect(updatePipelineStatus).toHaveBeenLastCalledWith(
+      "m1",
+      "cancelled",
+      {}
+    );
+    await expect(outbox.cancelJob(job.id)).rejects.toThrow(ConflictError);
+
+    const retried = await outbox.retryJob(job.id);
+    expect(retried).toMatchObject({ status: "pending", attempts: 0 });
+  });
+
+  it("refuses to retry a sent job", async () => {
+    const job = await enqueue();
+    await outbox.processDueJobs();
+
+    await expect(outbox.retryJob(job.id)).rejects.toThrow(ConflictError);
+  });
+
+  it("spaces marketing sends to the bulk rate", async () => {
+    const sentAt = [];
+    sendWithFailover.mockImplementation(async () => {
+      sentAt.push(Date.now());
+      return { id: "p2", provider: "resend" };
+    });
+
+    for (let i = 0; i < 3; i++) {
+      await enqueue({ category: "marketing", messageId: `m${i}` });
+    }
+    await outbox.processDueJobs();
+
+    expect(sentAt).toHaveLength(3);
+    // 20 per second is one every 50ms, allowing for timer granularity
+    expect(sentAt[1] - sentAt[0]).toBeGreaterThanOrEqual(45);
+    expect(sentAt[2] - sentAt[1]).toBeGreaterThanOrEqual(45);
+  });
+});
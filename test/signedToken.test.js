@@ -0,0 +1,43 @@
+// test/signedToken.test.js
+
+const {
+  createSignedToken,
+  verifySignedToken,
+} = require("../utils/signedToken");
+
+const SECRET = "test-secret";
+
+describe("signed tokens", () => {
+  it("round-trips the payload", () => {
+    const token = createSignedToken({ messageId: "m1", n: 2 }, SECRET);
+    expect(token).toMatch(/^[\w-]+\.[\w-]+$/);
+    expect(verifySignedToken(token, SECRET)).toEqual({ messageId: "m1", n: 2 });
+  });
+
+  it("rejects a token signed with another secret", () => {
+    const token = createSignedToken({ messageId: "m1" }, "other-secret");
+    expect(verifySignedToken(token, SECRET)).toBeNull();
+  });
+
+  it("rejects a token whose payload was changed", () => {
+    const [, signature] = createSignedToken({ messageId: "m1" }, SECRET).split(
+      "."
+    );
+    const body = Buffer.from(JSON.stringify({ messageId: "m2" })).toString(
+      "base64url"
+    );
+    expect(verifySignedToken(`${body}.${signature}`, SECRET)).toBeNull();
+  });
+
+  it("rejects malformed tokens", () => {
+    const token = createSignedToken({ messageId: "m1" }, SECRET);
+    expect(verifySignedToken(`${token}.extra`, SECRET)).toBeNull();
+    expect(verifySignedToken("no-signature", SECRET)).toBeNull();
+    expect(verifySignedToken(undefined, SECRET)).toBeNull();
+    expect(verifySignedToken(token, "")).toBeNull();
+  });
+
+  it("refuses to sign without a secret", () => {
+    expect(() => createSignedToken({}, "")).toThrow(/without a secret/);
+  });
+});
@@ -0,0 +1,83 @@
+// test/suppressionService.test.js
+
+jest.mock("../utils/logger");
+jest.mock("../services/firebaseService", () => ({
+  db: require("./helpers/fakeFirestore").createFakeDb(),
+}));
+
+const {
+  SUPPRESSION_REASONS,
+  addSuppression,
+  removeSuppression,
+  findSuppressions,
+} = require("../services/suppressionService");
+const { NotFoundError } = require("../middleware/errorHandler");
+
+describe("suppression precedence", () => {
+  it("keeps a bounce when the address later unsubscribes", async () => {
+    const first = await addSuppression("Jo@Example.com", {
+      reason: SUPPRESSION_REASONS.BOUNCE,
+      source: "sendgrid",
+      messageId: "m1",
+    });
+
+    const entry = await addSuppression("jo@example.com", {
+      reason: SUPPRESSION_REASONS.UNSUBSCRIBE,
+      source: "unsubscribe-link",
+      note: "Clicked unsubscribe",
+    });
+
+    expect(entry).toMatchObject({
+      email: "jo@example.com",
+      reason: SUPPRESSION_REASONS.BOUNCE,
+      source: "unsubscribe-link",
+      messageId: "m1",
+      note: "Clicked unsubscribe",
+      createdAt: first.createdAt,
+    });
+  });
+
+  it.each([SUPPRESSION_REASONS.COMPLAINT, SUPPRESSION_REASONS.MANUAL])(
+    "keeps a %s entry when the address later unsubscribes",
+    async (reason) => {
+      const email = `${reason}@example.com`;
+      await addSuppression(email, { reason });
+      const entry = await addSuppression(email, {
+        reason: SUPPRESSION_REASONS.UNSUBSCRIBE,
+      });
+      expect(entry.reason).toBe(reason);
+    }
+  );
+
+  it("upgrades an unsubscribe to a blocking reason", async () => {
+    await addSuppression("sam@example.com", {
+      reason: SUPPRESSION_REASONS.UNSUBSCRIBE,
+    });
+    const entry = await addSuppression("sam@example.com", {
+      reason: SUPPRESSION_REASONS.COMPLAINT,
+      messageId: "m2",
+    });
+
+    expect(entry).toMatchObject({
+      reason: SUPPRESSION_REASONS.COMPLAINT,
+      messageId: "m2",
+    });
+    expect(await findSuppressions(["SAM@example.com"])).toEqual([entry]);
+  });
+
+  it("rejects an unknown reason", async () => {
+    await expect(
+      addSuppression("pat@example.com", { reason: "spam" })
+    ).rejects.toThrow(/Invalid reason/);
+  });
+
+  it("removes an entry so the address can be emailed again", async () => {
+    await addSuppression("lee@example.com");
+    await removeSuppression("lee@example.com");
+
+    expect(await findSuppressions(["lee@example.com"])).toEqual([]);
+    await expect(removeSuppression("lee@example.com")).rejects.toThrow(
+      NotFoundError
+    );
+  });
+});
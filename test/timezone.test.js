@@ -0,0 +1,53 @@
+// test/timezone.test.js
+
+const { resolveSendTime, isValidTimeZone } = require("../utils/timezone");
+
+describe("resolveSendTime", () => {
+  it("reads a local time as wall-clock time in the time zone", () => {
+    expect(resolveSendTime("2025-06-02T09:00", "Europe/Berlin")).toEqual(
+      new Date("2025-06-02T07:00:00.000Z")
+    );
+    expect(resolveSendTime("2025-01-15T09:00", "Europe/Berlin")).toEqual(
+      new Date("2025-01-15T08:00:00.000Z")
+    );
+    expect(resolveSendTime("2025-01-15T09:00:30", "America/New_York")).toEqual(
+      new Date("2025-01-15T14:00:30.000Z")
+    );
+  });
+
+  it("defaults to UTC", () => {
+    expect(resolveSendTime("2025-06-02T09:00")).toEqual(
+      new Date("2025-06-02T09:00:00.000Z")
+    );
+  });
+
+  it("uses the offset in effect at the send time around a DST change", () => {
+    // Berlin moves from +01:00 to +02:00 at 01:00 UTC on 30 March 2025
+    expect(resolveSendTime("2025-03-30T01:30", "Europe/Berlin")).toEqual(
+      new Date("2025-03-30T00:30:00.000Z")
+    );
+    expect(resolveSendTime("2025-03-30T03:30", "Europe/Berlin")).toEqual(
+      new Date("2025-03-30T01:30:00.000Z")
+    );
+  });
+
+  it("uses times with an explicit offset as-is", () => {
+    expect(
+      resolveSendTime("2025-06-02T09:00:00+05:30", "Europe/Berlin")
+    ).toEqual(new Date("2025-06-02T03:30:00.000Z"));
+    expect(resolveSendTime("2025-06-02T09:00:00Z", "Asia/Tokyo")).toEqual(
+      new Date("2025-06-02T09:00:00.000Z")
+    );
+  });
+
+  it("returns null for a time it can't parse", () => {
+    expect(resolveSendTime("next tuesday", "Europe/Berlin")).toBeNull();
+  });
+});
+
+describe("isValidTimeZone", () => {
+  it("accepts IANA zones and rejects unknown ones", () => {
+    expect(isValidTimeZone("Europe/Berlin")).toBe(true);
+    expect(isValidTimeZone("Mars/Olympus")).toBe(false);
+  });
+});
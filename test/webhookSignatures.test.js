@@ -0,0 +1,145 @@
+// test/webhookSignatures.test.js
+
+jest.mock("../utils/logger");
+
+const crypto = require("crypto");
+const { createResendAdapter } = require("../services/webhooks/resendAdapter");
+const {
+  createSendGridAdapter,
+} = require("../services/webhooks/sendgridAdapter");
+const { AuthenticationError } = require("../middleware/errorHandler");
+
+const TOLERANCE_SECONDS = 300;
+const BODY = Buffer.from('{"type":"email.delivered","data":{"email_id":"e1"}}');
+const now = () => String(Math.floor(Date.now() / 1000));
+
+describe("Resend (Svix) signatures", () => {
+  const key = crypto.randomBytes(24);
+  const signingSecret = `whsec_${key.toString("base64")}`;
+  const adapter = createResendAdapter({
+    signingSecret,
+    toleranceSeconds: TOLERANCE_SECONDS,
+  });
+
+  const svixSignature = (id, timestamp, body, signingKey = key) =>
+    crypto
+      .createHmac("sha256", signingKey)
+      .update(`${id}.${timestamp}.`)
+      .update(body)
+      .digest("base64");
+
+  const signedRequest = ({
+    timestamp = now(),
+    body = BODY,
+    signature,
+  } = {}) => ({
+    headers: {
+      "svix-id": "msg_1",
+      "svix-timestamp": timestamp,
+      "svix-signature":
+        signature ?? `v1,${svixSignature("msg_1", timestamp, body)}`,
+    },
+    rawBody: body,
+  });
+
+  it("accepts a correctly signed request", () => {
+    expect(() => adapter.verify(signedRequest())).not.toThrow();
+  });
+
+  it("accepts any matching signature while keys rotate", () => {
+    const timestamp = now();
+    const other = svixSignature("msg_1", timestamp, BODY, Buffer.from("old"));
+    const current = svixSignature("msg_1", timestamp, BODY);
+    expect(() =>
+      adapter.verify(
+        signedRequest({ timestamp, signature: `v1,${other} v1,${current}` })
+      )
+    ).not.toThrow();
+  });
+
+  it("rejects a changed body", () => {
+    const req = signedRequest();
+    req.rawBody = Buffer.from(BODY.toString().replace("e1", "e2"));
+    expect(() => adapter.verify(req)).toThrow("Invalid webhook signature");
+  });
+
+  it("rejects a stale timestamp", () => {
+    const timestamp = String(Number(now()) - TOLERANCE_SECONDS - 60);
+    expect(() => adapter.verify(signedRequest({ timestamp }))).toThrow(
+      "Webhook timestamp is outside tolerance"
+    );
+  });
+
+  it("rejects missing headers and an unconfigured secret", () => {
+    const req = signedRequest();
+    delete req.headers["svix-signature"];
+    expect(() => adapter.verify(req)).toThrow(AuthenticationError);
+
+    const unconfigured = createResendAdapter({
+      signingSecret: "",
+      toleranceSeconds: TOLERANCE_SECONDS,
+    });
+    expect(() => unconfigured.verify(signedRequest())).toThrow(
+      AuthenticationError
+    );
+  });
+});
+
+describe("SendGrid (ECDSA) signatures", () => {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync("ec", {
+    namedCurve: "prime256v1",
+  });
+  const verificationKey = publicKey
+    .export({ format: "der", type: "spki" })
+    .toString("base64");
+  const adapter = createSendGridAdapter({
+    verificationKey,
+    toleranceSeconds: TOLERANCE_SECONDS,
+  });
+
+  const signedRequest = ({ timestamp = now(), body = BODY } = {}) => ({
+    headers: {
+      "x-twilio-email-event-webhook-timestamp": timestamp,
+      "x-twilio-email-event-webhook-signature": crypto
+        .sign(
+          "sha256",
+          Buffer.concat([Buffer.from(timestamp), body]),
+          privateKey
+        )
+        .toString("base64"),
+    },
+    body: [],
+    rawBody: body,
+  });
+
+  it("accepts a correctly signed request", () => {
+    expect(() => adapter.verify(signedRequest())).not.toThrow();
+  });
+
+  it("rejects a changed body or timestamp", () => {
+    const req = signedRequest();
+    req.rawBody = Buffer.from("[]");
+    expect(() => adapter.verify(req)).toThrow("Invalid webhook signature");
+
+    const retimed = signedRequest();
+    retimed.headers["x-twilio-email-event-webhook-timestamp"] = String(
+      Number(now()) - 1
+    );
+    expect(() => adapter.verify(retimed)).toThrow("Invalid webhook signature");
+  });
+
+  it("rejects a stale timestamp", () => {
+    const timestamp = String(Number(now()) - TOLERANCE_SECONDS - 60);
+    expect(() => adapter.verify(signedRequest({ timestamp }))).toThrow(
+      "Webhook timestamp is outside tolerance"
+    );
+  });
+
+  it("rejects every request when the key is malformed", () => {
+    const broken = createSendGridAdapter({
+      verificationKey: "bm90IGEga2V5",
+      toleranceSeconds: TOLERANCE_SECONDS,
+    });
+    expect(() => broken.verify(signedRequest())).toThrow(AuthenticationError);
+  });
+});
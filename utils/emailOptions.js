@@ -0,0 +1,94 @@
+// utils/emailOptions.js
+
+const { ValidationError } = require("../middleware/errorHandler");
+
+// Deliberately loose: providers do the strict RFC 5321 checks
+const EMAIL_PATTERN = /^[^\s@<>,;"]+@[^\s@<>,;"]+\.[^\s@<>,;"]+$/;
+
+// Header names are RFC 5322 field-name characters
+const HEADER_NAME_PATTERN = /^[!-9;-~]+$/;
+
+// Headers the service sets itself; callers must use the dedicated fields
+const RESERVED_HEADERS = [
+  "from",
+  "to",
+  "cc",
+  "bcc",
+  "reply-to",
+  "subject",
+  "sender",
+  "date",
+  "message-id",
+  "mime-version",
+  "content-type",
+  "content-transfer-encoding",
+  "list-unsubscribe",
+  "list-unsubscribe-post",
+];
+
+/**
+ * Validate and normalize an address or list of addresses
+ * @param {string|Object|Array} value - Email string, { name, email } object, or an array of either
+ * @param {string} field - Field name used in error messages
+ * @returns {Array<Object>} Addresses as { name, email } objects
+ * @throws {ValidationError} If any address is invalid
+ */
+const normalizeAddressList = (value, field) => {
+  if (value === undefined || value === null || value === "") return [];
+
+  return (Array.isArray(value) ? value : [value]).map((entry) => {
+    const address =
+      typeof entry === "string"
+        ? { email: entry.trim() }
+        : { name: entry?.name, email: entry?.email?.trim() };
+
+    if (!address.email || !EMAIL_PATTERN.test(address.email)) {
+      throw new ValidationError(`Invalid ${field} address`, {
+        field,
+        value: entry,
+      });
+    }
+
+    return address.name ? address : { email: address.email };
+  });
+};
+
+/**
+ * Validate custom headers for an outgoing email
+ * @param {Object} headers - Header names mapped to string values
+ * @returns {Object} Headers with string values
+ * @throws {ValidationError} If a header is malformed or reserved
+ */
+const validateCustomHeaders = (headers) => {
+  if (headers === undefined || headers === null) return {};
+
+  if (typeof headers !== "object" || Array.isArray(headers)) {
+    throw new ValidationError("Headers must be an object of name/value pairs");
+  }
+
+  const validated = {};
+  for (const [name, value] of Object.entries(headers)) {
+    if (!HEADER_NAME_PATTERN.test(name)) {
+      throw new ValidationError(`Invalid header name: ${name}`);
+    }
+
+    if (RESERVED_HEADERS.includes(name.toLowerCase())) {
+      throw new ValidationError(`Header ${name} cannot be set directly`);
+    }
+
+    // Line breaks would let a value inject extra headers
+    const text = String(value);
+    if (/[\r\n]/.test(text)) {
+      throw new ValidationError(`Header ${name} must be a single line`);
+    }
+
+    validated[name] = text;
+  }
+
+  return validated;
+};
+
+module.exports = {
+  normalizeAddressList,
+  validateCustomHeaders,
+};
@@ -0,0 +1,30 @@
+// utils/events.js
+
+const { EventEmitter } = require("events");
+const logger = require("./logger");
+
+/**
+ * In-process bus for changes other parts of the service react to
+ * Emitters don't need to know who listens, which keeps low-level modules such
+ * as firebaseService free of imports from the services built on top of them.
+ *
+ * Events:
+ *  - message.status: { messageId, status } after a message changes status
+ *  - candidate.imported: { candidateId, name, email, source } after an import creates a candidate
+ */
+const domainEvents = new EventEmitter();
+
+/**
+ * Emit a domain event without letting a listener's error reach the emitter
+ * @param {string} name - Event name
+ * @param {Object} data - Event data
+ */
+const emitDomainEvent = (name, data) => {
+  try {
+    domainEvents.emit(name, data);
+  } catch (error) {
+    logger.error(`Error in ${name} listener:`, error);
+  }
+};
+
+module.exports = { domainEvents, emitDomainEvent };
@@ -0,0 +1,131 @@
+// utils/htmlToText.js
+
+// Named entities that commonly appear in our templates
+const ENTITIES = {
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: '"',
+  apos: "'",
+  nbsp: " ",
+  mdash: "—",
+  ndash: "–",
+  hellip: "…",
+  copy: "©",
+};
+
+/**
+ * Decode HTML entities in a text fragment
+ * @param {string} text - Text containing entities
+ * @returns {string} Decoded text
+ */
+const decodeEntities = (text) =>
+  text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === "#") {
+      const isHex = code[1].toLowerCase() === "x";
+      return String.fromCodePoint(
+        parseInt(code.slice(isHex ? 2 : 1), isHex ? 16 : 10)
+      );
+    }
+    return ENTITIES[code.toLowerCase()] ?? entity;
+  });
+
+/**
+ * Remove tags from an HTML fragment and normalize its whitespace
+ * @param {string} html - HTML fragment
+ * @returns {string} Inline text
+ */
+const stripTags = (html) =>
+  decodeEntities(html.replace(/<[^>]+>/g, ""))
+    .replace(/\s+/g, " ")
+    .trim();
+
+/**
+ * Read an attribute from an HTML tag
+ * @param {string} tag - Opening tag source
+ * @param {string} name - Attribute name
+ * @returns {string|null} Decoded attribute value
+ */
+const getAttribute = (tag, name) => {
+  const match = new RegExp(
+    `\\s${name}\\s*=\\s*("([^"]*)"|'([^']*)')`,
+    "i"
+  ).exec(tag);
+  return match ? decodeEntities(match[2] ?? match[3]) : null;
+};
+
+/**
+ * Number the items of ordered lists and bullet the items of unordered ones
+ * @param {string} html - HTML source
+ * @returns {string} HTML with list markers inserted as text
+ */
+const markListItems = (html) =>
+  html
+    .replace(/<ol[^>]*>([\s\S]*?)<\/ol>/gi, (list, items) => {
+      let counter = 0;
+      return `\n${items.replace(/<li[^>]*>/gi, () => `\n${++counter}. `)}\n`;
+    })
+    .replace(/<li[^>]*>/gi, "\n- ");
+
+/**
+ * Convert rendered HTML into a plain-text alternative
+ * Links become numbered footnotes and layout tables are flattened into lines
+ * @param {string} html - HTML document or fragment
+ * @returns {string} Plain text
+ */
+const htmlToText = (html) => {
+  const links = [];
+
+  let text = html
+    .replace(/<!--[\s\S]*?-->/g, "")
+    .replace(/<(head|style|script|title)[^>]*>[\s\S]*?<\/\1>/gi, "")
+    // Source whitespace is insignificant; line breaks come from the markup
+    .replace(/\s+/g, " ");
+
+  // Replace links with their text and a footnote reference
+  text = text.replace(/(<a\b[^>]*>)([\s\S]*?)<\/a>/gi, (match, tag, inner) => {
+    const label = stripTags(inner);
+    const href = getAttribute(tag, "href");
+
+    if (!href || href.startsWith("#")) return label;
+    if (href.startsWith("mailto:")) return label || href.slice(7);
+    if (!label || label === href) return href;
+
+    let index = links.indexOf(href);
+    if (index === -1) {
+      links.push(href);
+      index = links.length - 1;
+    }
+    return `${label} [${index + 1}]`;
+  });
+
+  text = markListItems(text)
+    .replace(/<img\b[^>]*>/gi, (tag) => getAttribute(tag, "alt") || "")
+    .replace(/<br\s*\/?>/gi, "\n")
+    .replace(/<hr\s*\/?>/gi, "\n---\n")
+    // Headings and paragraphs are separated by a blank line
+    .replace(/<\/?(p|h[1-6]|blockquote|ul|ol)\b[^>]*>/gi, "\n\n")
+    // Layout tables: each row becomes a line, cells are joined with spaces
+    .replace(/<\/t[dh]>/gi, " ")
+    .replace(/<\/?(div|tr|table|tbody|thead|tfoot|section)\b[^>]*>/gi, "\n")
+    .replace(/<[^>]+>/g, "");
+
+  text = decodeEntities(text)
+    .split("\n")
+    .map((line) => line.replace(/[ \t ]+/g, " ").trim())
+    .join("\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+
+  if (links.length > 0) {
+    const footnotes = links.map((href, index) => `[${index + 1}] ${href}`);
+    text += `\n\n${footnotes.join("\n")}`;
+  }
+
+  return text;
+};
+
+module.exports = {
+  decodeEntities,
+  htmlToText,
+};
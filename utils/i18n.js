@@ -0,0 +1,113 @@
+// utils/i18n.js
+
+const fs = require("fs");
+const path = require("path");
+
+const LOCALES_DIR = path.join(__dirname, "../templates/locales");
+
+// Locale used when a recipient has none or we have no translation for it
+const DEFAULT_LOCALE = process.env.DEFAULT_LOCALE || "en";
+
+/**
+ * Load every catalog in the locales directory, keyed by locale
+ * @returns {Object} Catalogs with subjects and strings
+ */
+const loadCatalogs = () => {
+  const catalogs = {};
+  if (!fs.existsSync(LOCALES_DIR)) return catalogs;
+
+  for (const file of fs.readdirSync(LOCALES_DIR)) {
+    if (path.extname(file) !== ".json") continue;
+    const catalog = JSON.parse(
+      fs.readFileSync(path.join(LOCALES_DIR, file), "utf8")
+    );
+    catalogs[path.basename(file, ".json")] = {
+      subjects: catalog.subjects || {},
+      strings: catalog.strings || {},
+    };
+  }
+
+  return catalogs;
+};
+
+const catalogs = loadCatalogs();
+
+/**
+ * Normalize a locale tag, e.g. "de_de" becomes "de-DE"
+ * @param {string} locale - Locale tag
+ * @returns {string|null} Canonical tag, or null if invalid
+ */
+const normalizeLocale = (locale) => {
+  if (!locale || typeof locale !== "string") return null;
+  try {
+    return Intl.getCanonicalLocales(locale.replace(/_/g, "-"))[0];
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * List the locales to try for a recipient, most specific first
+ * "de-AT" resolves to ["de-AT", "de", "en"] with the default locale last
+ * @param {string} locale - Requested locale
+ * @returns {Array<string>} Locale fallback chain
+ */
+const getLocaleChain = (locale) => {
+  const chain = [];
+  const normalized = normalizeLocale(locale);
+
+  if (normalized) {
+    chain.push(normalized);
+    const language = normalized.split("-")[0];
+    if (language !== normalized) chain.push(language);
+  }
+
+  if (!chain.includes(DEFAULT_LOCALE)) chain.push(DEFAULT_LOCALE);
+  return chain;
+};
+
+/**
+ * Pick the best supported locale for a recipient
+ * @param {string} locale - Requested locale
+ * @returns {string} Locale with a catalog, or the default locale
+ */
+const resolveLocale = (locale) =>
+  getLocaleChain(locale).find((candidate) => catalogs[candidate]) ||
+  DEFAULT_LOCALE;
+
+/**
+ * Look up a translated string
+ * @param {string} locale - Recipient locale
+ * @param {string} key - String key, e.g. footer.automated
+ * @returns {string} Translation, falling back to the default locale, then the key
+ */
+const translate = (locale, key) => {
+  for (const candidate of getLocaleChain(locale)) {
+    const value = catalogs[candidate]?.strings[key];
+    if (value !== undefined) return value;
+  }
+  return key;
+};
+
+/**
+ * Look up the translated subject template for an email template
+ * @param {string} locale - Recipient locale
+ * @param {string} templateName - Template name
+ * @returns {string|null} Subject template, or null if there is no translation
+ */
+const getSubjectTemplate = (locale, templateName) => {
+  for (const candidate of getLocaleChain(locale)) {
+    const value = catalogs[candidate]?.subjects[templateName];
+    if (value !== undefined) return value;
+  }
+  return null;
+};
+
+module.exports = {
+  DEFAULT_LOCALE,
+  normalizeLocale,
+  getLocaleChain,
+  resolveLocale,
+  translate,
+  getSubjectTemplate,
+};
@@ -0,0 +1,181 @@
+// utils/icalendar.js
+
+// iCalendar methods we send (RFC 5546)
+const CALENDAR_METHODS = {
+  REQUEST: "REQUEST",
+  CANCEL: "CANCEL",
+};
+
+// Attendee participation roles (RFC 5545 section 3.2.16)
+const ATTENDEE_ROLES = [
+  "CHAIR",
+  "REQ-PARTICIPANT",
+  "OPT-PARTICIPANT",
+  "NON-PARTICIPANT",
+];
+
+const PRODUCT_ID = "-//ATS Email Service//Interview Scheduling//EN";
+
+/**
+ * Escape a TEXT value (RFC 5545 section 3.3.11)
+ * @param {string} value - Text to escape
+ * @returns {string} Escaped text
+ */
+const escapeText = (value) =>
+  String(value ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+
+/**
+ * Remove line breaks and other control characters from a value that is
+ * written without TEXT escaping, so it can't start a new content line
+ * @param {string} value - Raw value
+ * @returns {string} Single-line value
+ */
+const toSingleLine = (value) =>
+  String(value ?? "")
+    .replace(/[\r\n]+/g, " ")
+    .replace(/[\x00-\x1f\x7f]/g, "");
+
+/**
+ * Remove whitespace and control characters from a URI value such as mailto
+ * @param {string} value - Raw URI
+ * @returns {string} URI safe to embed
+ */
+const toUri = (value) => String(value ?? "").replace(/[\s\x00-\x1f\x7f]/g, "");
+
+/**
+ * Quote a parameter value such as CN when it contains special characters
+ * @param {string} value - Parameter value
+ * @returns {string} Parameter value safe to embed
+ */
+const quoteParam = (value) => {
+  const cleaned = toSingleLine(value).replace(/"/g, "'");
+  return /[;:,]/.test(cleaned) ? `"${cleaned}"` : cleaned;
+};
+
+/**
+ * Format a date as a UTC DATE-TIME, e.g. 20250301T143000Z
+ * @param {Date|string} value - Date to format
+ * @returns {string} iCalendar UTC timestamp
+ */
+const formatDateTime = (value) =>
+  new Date(value)
+    .toISOString()
+    .replace(/[-:]/g, "")
+    .replace(/\.\d{3}/, "");
+
+/**
+ * Fold a content line to 75 octets, continuing with a leading space
+ * @param {string} line - Unfolded content line
+ * @returns {string} Folded line
+ */
+const foldLine = (line) => {
+  const parts = [];
+  let current = "";
+  let currentBytes = 0;
+
+  for (const char of line) {
+    const bytes = Buffer.byteLength(char);
+    // Continuation lines lose one octet to the leading space
+    const limit = parts.length === 0 ? 75 : 74;
+    if (currentBytes + bytes > limit) {
+      parts.push(current);
+      current = "";
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += bytes;
+  }
+
+  parts.push(current);
+  return parts.join("\r\n ");
+};
+
+/**
+ * Format an ORGANIZER or ATTENDEE property
+ * @param {string} name - Property name
+ * @param {Object} person - Person with name and email
+ * @param {Array<string>} params - Extra parameters
+ * @returns {string} Content line
+ */
+const formatPerson = (name, person, params = []) => {
+  const allParams = [
+    ...(person.name ? [`CN=${quoteParam(person.name)}`] : []),
+    ...params,
+  ];
+  return `${[name, ...allParams].join(";")}:mailto:${toUri(person.email)}`;
+};
+
+/**
+ * Build a single-event iCalendar object for an invitation, update or cancellation
+ * Times are written in UTC so no VTIMEZONE definitions are needed.
+ * @param {Object} event - Event details
+ * @param {string} event.uid - Stable unique ID shared by every version of the event
+ * @param {number} event.sequence - Revision number; increase it on every change
+ * @param {string} event.method - REQUEST or CANCEL
+ * @param {Date|string} event.start - Start time
+ * @param {Date|string} event.end - End time
+ * @param {string} event.summary - Event title
+ * @param {string} event.description - Event description (optional)
+ * @param {string} event.location - Location or meeting link (optional)
+ * @param {string} event.url - Meeting URL (optional)
+ * @param {Object} event.organizer - Organizer with name and email
+ * @param {Array<Object>} event.attendees - Attendees with name, email and optional role
+ * @returns {string} iCalendar text with CRLF line endings
+ */
+const buildCalendarEvent = ({
+  uid,
+  sequence = 0,
+  method = CALENDAR_METHODS.REQUEST,
+  start,
+  end,
+  summary,
+  description,
+  location,
+  url,
+  organizer,
+  attendees = [],
+}) => {
+  const cancelled = method === CALENDAR_METHODS.CANCEL;
+
+  const lines = [
+    "BEGIN:VCALENDAR",
+    `PRODID:${PRODUCT_ID}`,
+    "VERSION:2.0",
+    "CALSCALE:GREGORIAN",
+    `METHOD:${method}`,
+    "BEGIN:VEVENT",
+    `UID:${uid}`,
+    `SEQUENCE:${sequence}`,
+    `DTSTAMP:${formatDateTime(new Date())}`,
+    `DTSTART:${formatDateTime(start)}`,
+    `DTEND:${formatDateTime(end)}`,
+    `SUMMARY:${escapeText(summary)}`,
+    ...(description ? [`DESCRIPTION:${escapeText(description)}`] : []),
+    ...(location ? [`LOCATION:${escapeText(location)}`] : []),
+    ...(url ? [`URL:${toUri(url)}`] : []),
+    `STATUS:${cancelled ? "CANCELLED" : "CONFIRMED"}`,
+    formatPerson("ORGANIZER", organizer),
+    ...attendees.map((attendee) =>
+      formatPerson("ATTENDEE", attendee, [
+        `ROLE=${attendee.role || "REQ-PARTICIPANT"}`,
+        "PARTSTAT=NEEDS-ACTION",
+        // Cancellations need no reply
+        `RSVP=${cancelled ? "FALSE" : "TRUE"}`,
+      ])
+    ),
+    "END:VEVENT",
+    "END:VCALENDAR",
+  ];
+
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+};
+
+module.exports = {
+  CALENDAR_METHODS,
+  ATTENDEE_ROLES,
+  buildCalendarEvent,
+};
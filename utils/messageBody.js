@@ -0,0 +1,118 @@
+// utils/messageBody.js
+
+const { marked } = require("marked");
+const sanitizeHtml = require("sanitize-html");
+const { htmlToText } = require("./htmlToText");
+
+// Formats recruiters can write candidate messages in
+const BODY_FORMATS = ["text", "markdown", "html"];
+
+// Markup allowed in candidate message bodies; anything else is stripped
+const SANITIZE_OPTIONS = {
+  allowedTags: [
+    "p",
+    "br",
+    "hr",
+    "h1",
+    "h2",
+    "h3",
+    "h4",
+    "strong",
+    "b",
+    "em",
+    "i",
+    "u",
+    "s",
+    "blockquote",
+    "ul",
+    "ol",
+    "li",
+    "a",
+    "code",
+    "pre",
+    "table",
+    "thead",
+    "tbody",
+    "tr",
+    "th",
+    "td",
+    "span",
+    "div",
+  ],
+  allowedAttributes: {
+    a: ["href", "title"],
+    td: ["colspan", "rowspan"],
+    th: ["colspan", "rowspan"],
+  },
+  allowedSchemes: ["http", "https", "mailto", "tel"],
+  transformTags: {
+    // Links open outside the mail client and don't leak the referrer
+    a: sanitizeHtml.simpleTransform("a", {
+      target: "_blank",
+      rel: "noopener noreferrer",
+    }),
+  },
+};
+
+// Allow the attributes added by transformTags
+SANITIZE_OPTIONS.allowedAttributes.a.push("target", "rel");
+
+/**
+ * Escape text for safe inclusion in HTML
+ * @param {string} text - Plain text
+ * @returns {string} Escaped text
+ */
+const escapeHtml = (text) =>
+  text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+/**
+ * Turn plain text into paragraphs, keeping single line breaks
+ * @param {string} text - Plain text
+ * @returns {string} HTML
+ */
+const textToHtml = (text) =>
+  text
+    .replace(/\r\n/g, "\n")
+    .split(/\n{2,}/)
+    .map((paragraph) => paragraph.trim())
+    .filter(Boolean)
+    .map(
+      (paragraph) => `<p>${escapeHtml(paragraph).replace(/\n/g, "<br />")}</p>`
+    )
+    .join("\n");
+
+/**
+ * Render a candidate message body to sanitized HTML and plain text
+ * @param {string} body - Body as written by the recruiter
+ * @param {string} format - text, markdown or html
+ * @returns {Object} Rendered html and text
+ */
+const renderMessageBody = (body, format = "text") => {
+  switch (format) {
+    case "text":
+      return { html: textToHtml(body), text: body.trim() };
+    case "markdown": {
+      const html = sanitizeHtml(
+        marked.parse(body, { async: false, gfm: true, breaks: true }),
+        SANITIZE_OPTIONS
+      );
+      return { html, text: htmlToText(html) };
+    }
+    case "html": {
+      const html = sanitizeHtml(body, SANITIZE_OPTIONS);
+      return { html, text: htmlToText(html) };
+    }
+    default:
+      throw new Error(`Unsupported body format: ${format}`);
+  }
+};
+
+module.exports = {
+  BODY_FORMATS,
+  renderMessageBody,
+};
@@ -0,0 +1,33 @@
+// utils/pagination.js
+
+const { ValidationError } = require("../middleware/errorHandler");
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+/**
+ * Parse a list endpoint's limit query parameter
+ * Missing means the default; values above the maximum are capped.
+ * @param {string} value - Raw limit from the query string
+ * @param {Object} options - Optional default and maximum
+ * @returns {number} Positive integer limit
+ * @throws {ValidationError} If the limit is not a positive integer
+ */
+const parseLimit = (
+  value,
+  { defaultLimit = DEFAULT_LIMIT, maxLimit = MAX_LIMIT } = {}
+) => {
+  if (value === undefined || value === "") return defaultLimit;
+
+  const limit = Number(value);
+  if (typeof value !== "string" || !/^\d+$/.test(value) || limit < 1) {
+    throw new ValidationError("limit must be a positive integer", {
+      field: "limit",
+      value,
+    });
+  }
+
+  return Math.min(limit, maxLimit);
+};
+
+module.exports = { parseLimit };
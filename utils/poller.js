@@ -0,0 +1,49 @@
+// utils/poller.js
+
+const logger = require("./logger");
+
+/**
+ * Create a background loop that runs a task on a fixed interval
+ * A tick is skipped while the previous one is still running
+ * @param {Object} options - Poller options
+ * @param {string} options.name - Name used in log messages
+ * @param {number} options.intervalMs - Delay between ticks
+ * @param {Function} options.task - Async function to run on each tick
+ * @returns {Object} Poller with start, stop and runOnce
+ */
+const createPoller = ({ name, intervalMs, task }) => {
+  let timer = null;
+  let running = false;
+
+  const runOnce = async () => {
+    if (running) return;
+    running = true;
+
+    try {
+      await task();
+    } catch (error) {
+      logger.error(`${name} poll failed:`, error);
+    } finally {
+      running = false;
+    }
+  };
+
+  const start = () => {
+    if (timer) return;
+    timer = setInterval(runOnce, intervalMs);
+    // Don't keep the process alive just for the poller
+    timer.unref();
+    logger.info(`${name} started, polling every ${intervalMs}ms`);
+    runOnce();
+  };
+
+  const stop = () => {
+    if (!timer) return;
+    clearInterval(timer);
+    timer = null;
+  };
+
+  return { start, stop, runOnce };
+};
+
+module.exports = { createPoller };
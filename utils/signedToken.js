@@ -0,0 +1,61 @@
+// utils/signedToken.js
+
+const crypto = require("crypto");
+
+/**
+ * Compute the URL-safe HMAC-SHA256 signature of a token body
+ * @param {string} body - Encoded token body
+ * @param {string} secret - Signing secret
+ * @returns {string} Base64url signature
+ */
+const sign = (body, secret) =>
+  crypto.createHmac("sha256", secret).update(body).digest("base64url");
+
+/**
+ * Create a URL-safe token carrying a payload that cannot be altered
+ * The payload is readable by anyone holding the token; don't put secrets in it.
+ * @param {Object} payload - Data to carry
+ * @param {string} secret - Signing secret
+ * @returns {string} Token in the form <body>.<signature>
+ */
+const createSignedToken = (payload, secret) => {
+  if (!secret) {
+    throw new Error("Cannot sign a token without a secret");
+  }
+
+  const body = Buffer.from(JSON.stringify(payload)).toString("base64url");
+  return `${body}.${sign(body, secret)}`;
+};
+
+/**
+ * Verify a token and return its payload
+ * @param {string} token - Token from createSignedToken
+ * @param {string} secret - Signing secret
+ * @returns {Object|null} Payload, or null if the token is malformed or tampered with
+ */
+const verifySignedToken = (token, secret) => {
+  if (!secret || typeof token !== "string") return null;
+
+  const [body, signature, ...rest] = token.split(".");
+  if (!body || !signature || rest.length > 0) return null;
+
+  const expected = Buffer.from(sign(body, secret));
+  const actual = Buffer.from(signature);
+  if (
+    expected.length !== actual.length ||
+    !crypto.timingSafeEqual(expected, actual)
+  ) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(Buffer.from(body, "base64url").toString("utf8"));
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  createSignedToken,
+  verifySignedToken,
+};
@@ -1,17 +1,224 @@
 // Email template processing
 // utils/templateEngine.js
-const processTemplate = (template, variables) => {
-  let result = template;
+const Handlebars = require("handlebars");
+const fs = require("fs");
+const path = require("path");
+const { DEFAULT_LOCALE, translate } = require("./i18n");
 
-  // Replace variables in the template
-  for (const [key, value] of Object.entries(variables)) {
-    const regex = new RegExp(`{{\\s*${key}\\s*}}`, "g");
-    result = result.replace(regex, value || "");
+// Isolated Handlebars environment so helpers don't leak into other users
+const engine = Handlebars.create();
+
+// Shared partials (layout, header, footer) live next to the templates
+const PARTIALS_DIR = path.join(__dirname, "../templates/partials");
+
+// Compiled templates keyed by source, least recently used first
+const compiledCache = new Map();
+
+// Recruiter-written subjects and bodies vary per send, so the cache is capped
+const COMPILED_CACHE_SIZE = 200;
+
+// Named date formats accepted by the formatDate filter
+const DATE_FORMATS = {
+  short: { year: "numeric", month: "short", day: "numeric" },
+  long: { weekday: "long", year: "numeric", month: "long", day: "numeric" },
+  time: { hour: "numeric", minute: "2-digit" },
+  datetime: {
+    year: "numeric",
+    month: "short",
+    day: "numeric",
+    hour: "numeric",
+    minute: "2-digit",
+  },
+};
+
+/**
+ * Register every partial found in the partials directory
+ * A file named footer.html becomes {{> footer }}
+ */
+const registerPartials = () => {
+  if (!fs.existsSync(PARTIALS_DIR)) return;
+
+  for (const file of fs.readdirSync(PARTIALS_DIR)) {
+    if (path.extname(file) !== ".html") continue;
+    const name = path.basename(file, ".html");
+    engine.registerPartial(
+      name,
+      fs.readFileSync(path.join(PARTIALS_DIR, file), "utf8")
+    );
+  }
+};
+
+/**
+ * Get the recipient locale from the root template data
+ * @param {Object} options - Handlebars options
+ * @returns {string} Locale tag
+ */
+const getLocale = (options) => options?.data?.root?.locale || DEFAULT_LOCALE;
+
+/**
+ * Format a date value for display in the recipient's locale
+ * Usage: {{ formatDate interviewDate "long" }} or {{ formatDate date "short" timeZone="Europe/Berlin" }}
+ * @param {string|number|Date} value - Date to format
+ * @param {string} format - short, long, time or datetime (defaults to short)
+ * @param {Object} options - Handlebars options, may carry a timeZone hash
+ * @returns {string} Formatted date, or an empty string for invalid input
+ */
+const formatDate = (value, format, options) => {
+  // Handlebars always passes options last, so format may be omitted
+  if (typeof format !== "string") {
+    options = format;
+    format = "short";
+  }
+
+  const date = value instanceof Date ? value : new Date(value);
+  if (!value || isNaN(date.getTime())) return "";
+
+  return new Intl.DateTimeFormat(getLocale(options), {
+    ...(DATE_FORMATS[format] || DATE_FORMATS.short),
+    ...(options?.hash?.timeZone && { timeZone: options.hash.timeZone }),
+  }).format(date);
+};
+
+/**
+ * Format a number in the recipient's locale
+ * Usage: {{ formatNumber salary currency="EUR" }} or {{ formatNumber ratio style="percent" }}
+ * @param {number} value - Number to format
+ * @param {Object} options - Handlebars options; hash is passed to Intl.NumberFormat
+ * @returns {string} Formatted number, or an empty string for non-numbers
+ */
+const formatNumber = (value, options) => {
+  const number = Number(value);
+  if (value === null || value === undefined || isNaN(number)) return "";
+
+  const { currency, style = currency ? "currency" : "decimal" } =
+    options?.hash || {};
+  return new Intl.NumberFormat(getLocale(options), {
+    style,
+    ...(currency && { currency }),
+  }).format(number);
+};
+
+engine.registerHelper("formatDate", formatDate);
+engine.registerHelper("formatNumber", formatNumber);
+engine.registerHelper("t", (key, options) =>
+  translate(getLocale(options), key)
+);
+engine.registerHelper("uppercase", (value) =>
+  String(value ?? "").toUpperCase()
+);
+engine.registerHelper("lowercase", (value) =>
+  String(value ?? "").toLowerCase()
+);
+engine.registerHelper("default", (value, fallback) =>
+  value === undefined || value === null || value === "" ? fallback : value
+);
+
+registerPartials();
+
+/**
+ * Render a template with the given variables
+ * {{ value }} is HTML-escaped; use {{{ value }}} for trusted raw HTML
+ * @param {string} template - Template source
+ * @param {Object} variables - Template variables
+ * @param {Object} options - Render options
+ * @param {boolean} options.escape - HTML-escape values (disable for subjects and plain text)
+ * @returns {string} Rendered output
+ */
+const processTemplate = (template, variables = {}, { escape = true } = {}) => {
+  const cacheKey = `${escape}:${template}`;
+  let compiled = compiledCache.get(cacheKey);
+
+  if (compiled) {
+    // Move to the end so the oldest entries are evicted first
+    compiledCache.delete(cacheKey);
+  } else {
+    compiled = engine.compile(template, { noEscape: !escape });
+    if (compiledCache.size >= COMPILED_CACHE_SIZE) {
+      compiledCache.delete(compiledCache.keys().next().value);
+    }
   }
 
-  return result;
+  compiledCache.set(cacheKey, compiled);
+  return compiled(variables);
+};
+
+// Blocks whose body is evaluated against a different context
+const CONTEXT_CHANGING_BLOCKS = ["each", "with"];
+
+/**
+ * Collect the top-level variables a template references
+ * Helper names, partial internals and paths inside each/with bodies are skipped;
+ * only the variables that must be supplied by the caller are returned
+ * @param {string} template - Template source
+ * @returns {Array<string>} Variable names, sorted
+ */
+const getTemplateVariables = (template) => {
+  const variables = new Set();
+
+  const addPath = (node, nested) => {
+    if (node?.type !== "PathExpression" || node.data) return;
+    if (node.parts.length === 0) return; // {{ this }}
+    // Inside each/with only ../ paths refer back to the caller's data
+    if (nested && node.depth === 0) return;
+    variables.add(node.parts[0]);
+  };
+
+  const visitParams = (node, nested) => {
+    for (const param of node.params || []) {
+      if (param.type === "SubExpression") {
+        visitParams(param, nested);
+      } else {
+        addPath(param, nested);
+      }
+    }
+    for (const pair of node.hash?.pairs || []) {
+      if (pair.value.type === "SubExpression") {
+        visitParams(pair.value, nested);
+      } else {
+        addPath(pair.value, nested);
+      }
+    }
+  };
+
+  const visit = (node, nested) => {
+    if (!node) return;
+
+    switch (node.type) {
+      case "Program":
+        node.body.forEach((child) => visit(child, nested));
+        break;
+      case "MustacheStatement":
+        // {{ helper arg }} references arg; a bare {{ name }} references name
+        if (node.params.length > 0 || node.hash) {
+          visitParams(node, nested);
+        } else if (!engine.helpers[node.path.original]) {
+          addPath(node.path, nested);
+        }
+        break;
+      case "BlockStatement": {
+        visitParams(node, nested);
+        const changesContext = CONTEXT_CHANGING_BLOCKS.includes(
+          node.path.original
+        );
+        visit(node.program, nested || changesContext);
+        visit(node.inverse, nested);
+        break;
+      }
+      case "PartialStatement":
+      case "PartialBlockStatement":
+        visitParams(node, nested);
+        visit(node.program, nested);
+        break;
+      default:
+        break;
+    }
+  };
+
+  visit(Handlebars.parse(template), false);
+  return [...variables].sort();
 };
 
 module.exports = {
   processTemplate,
+  getTemplateVariables,
 };
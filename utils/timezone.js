@@ -0,0 +1,85 @@
+// utils/timezone.js
+
+// Matches an ISO date-time without a UTC offset, e.g. 2025-06-02T09:00
+const LOCAL_DATE_TIME =
+  /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::(\d{2}))?(?:\.\d+)?$/;
+
+/**
+ * Check whether a string is a valid IANA time zone
+ * @param {string} timeZone - Time zone name, e.g. Europe/Berlin
+ * @returns {boolean} True if the runtime recognizes the zone
+ */
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Get the UTC offset of a time zone at a given instant
+ * @param {number} timestamp - Epoch milliseconds
+ * @param {string} timeZone - IANA time zone
+ * @returns {number} Offset in milliseconds (positive east of UTC)
+ */
+const getTimeZoneOffset = (timestamp, timeZone) => {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  }).formatToParts(new Date(timestamp));
+
+  const value = (type) =>
+    parseInt(parts.find((part) => part.type === type).value, 10);
+
+  const wallClock = Date.UTC(
+    value("year"),
+    value("month") - 1,
+    value("day"),
+    value("hour"),
+    value("minute"),
+    value("second")
+  );
+
+  return wallClock - Math.floor(timestamp / 1000) * 1000;
+};
+
+/**
+ * Resolve a send time to a UTC instant
+ * Times with an explicit offset are used as-is; local times such as
+ * "2025-06-02T09:00" are read as wall-clock time in the given time zone
+ * @param {string} sendAt - ISO 8601 date-time
+ * @param {string} timeZone - IANA time zone (defaults to UTC)
+ * @returns {Date|null} UTC instant, or null if sendAt can't be parsed
+ */
+const resolveSendTime = (sendAt, timeZone = "UTC") => {
+  const match = LOCAL_DATE_TIME.exec(sendAt);
+
+  if (!match) {
+    const date = new Date(sendAt);
+    return isNaN(date.getTime()) ? null : date;
+  }
+
+  const [, year, month, day, hour, minute, second = "0"] = match;
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+
+  // Correct for the zone's offset, then re-check in case the first guess
+  // landed on the other side of a DST transition
+  let timestamp = wallClock - getTimeZoneOffset(wallClock, timeZone);
+  timestamp = wallClock - getTimeZoneOffset(timestamp, timeZone);
+
+  return new Date(timestamp);
+};
+
+module.exports = {
+  isValidTimeZone,
+  getTimeZoneOffset,
+  resolveSendTime,
+};